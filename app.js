@@ -1,24 +1,38 @@
 import express from "express";
 import morgan from "morgan";
-import rateLimit from "express-rate-limit";
 import { requestTime } from "./middleware/reqMiddleware.js";
+import { apiLimiter } from "./middleware/rateLimiters.js";
 import { getPublicPath } from "./utils/pathUtils.js";
 import helmet from "helmet";
 import mongoSanitize from "express-mongo-sanitize";
 import xss from "xss-clean";
 import hpp from "hpp";
+import cookieParser from "cookie-parser";
 
 import AppError from "./utils/appError.js";
+import { ERROR_CODES } from "./utils/errorCodes.js";
 import { globalErrorHandler } from "./controllers/errorController.js";
 import tourRouter from "./routes/tourRoutes.js";
 import userRouter from "./routes/userRoutes.js";
 import reviewRouter from "./routes/reviewRoutes.js";
+import bookingRouter from "./routes/bookingRoutes.js";
+import paymentRouter from "./routes/paymentRoutes.js";
+import analyticsRouter from "./routes/analyticsRoutes.js";
+import { webhookCheckout } from "./controllers/paymentController.js";
 
 const app = express();
 
 // MIDDLEWARES
 app.use(helmet());
 app.use(express.static(getPublicPath()));
+
+// Payment webhooks need the raw body to verify the signature
+app.post(
+  "/api/v1/payments/webhook",
+  express.raw({ type: "application/json" }),
+  webhookCheckout
+);
+
 app.use(express.json());
 app.use(requestTime);
 
@@ -26,15 +40,9 @@ if (process.env.NODE_ENV === "development") {
   app.use(morgan("dev"));
 }
 
-// Limit requests from same API
-const limiter = rateLimit({
-  max: 100,
-  windowMs: 60 * 60 * 1000,
-  message: "Too many requests from this IP, please try again in an hour!",
-});
-
-app.use("/api", limiter);
+app.use("/api", apiLimiter);
 app.use(express.json({ limit: "10kb" }));
+app.use(cookieParser());
 app.use(mongoSanitize());
 app.use(xss());
 app.use(
@@ -54,9 +62,18 @@ app.use(
 app.use("/api/v1/tours", tourRouter);
 app.use("/api/v1/users", userRouter);
 app.use("/api/v1/reviews", reviewRouter);
+app.use("/api/v1/bookings", bookingRouter);
+app.use("/api/v1/payments", paymentRouter);
+app.use("/api/v1/analytics", analyticsRouter);
 
 app.all("*", (req, res, next) => {
-  next(new AppError(`Can't find ${req.originalUrl} on this server!`, 404));
+  next(
+    new AppError(
+      `Can't find ${req.originalUrl} on this server!`,
+      404,
+      ERROR_CODES.ROUTE_NOT_FOUND
+    )
+  );
 });
 
 app.use(globalErrorHandler);
@@ -0,0 +1,5 @@
+import dotenv from "dotenv";
+
+// Imported before anything else, so every module can read its settings
+// from process.env when it loads
+dotenv.config({ path: "./config.env" });
@@ -0,0 +1,61 @@
+import mongoose from "mongoose";
+import { catchAsync } from "../utils/catchAsync.js";
+import * as analytics from "../utils/analytics.js";
+
+const rangeOf = (req) => ({ from: req.query.from, to: req.query.to });
+
+const sendReport = (res, name, report) => {
+  res.status(200).json({
+    status: "success",
+    ...(Array.isArray(report) && { results: report.length }),
+    data: {
+      [name]: report,
+    },
+  });
+};
+
+export const getRevenue = catchAsync(async (req, res, next) => {
+  const revenue = await analytics.revenue({
+    range: rangeOf(req),
+    interval: req.query.interval,
+  });
+  sendReport(res, "revenue", revenue);
+});
+
+export const getBookingFunnel = catchAsync(async (req, res, next) => {
+  const funnel = await analytics.bookingFunnel({ range: rangeOf(req) });
+  sendReport(res, "funnel", funnel);
+});
+
+export const getRatingHistogram = catchAsync(async (req, res, next) => {
+  const ratings = await analytics.ratingHistogram({
+    range: rangeOf(req),
+    tour: req.query.tour && new mongoose.Types.ObjectId(req.query.tour),
+  });
+  sendReport(res, "ratings", ratings);
+});
+
+export const getTopTours = catchAsync(async (req, res, next) => {
+  const tours = await analytics.topToursByReviews({
+    range: rangeOf(req),
+    limit: req.query.limit,
+  });
+  sendReport(res, "tours", tours);
+});
+
+export const getSignups = catchAsync(async (req, res, next) => {
+  const signups = await analytics.signups({
+    range: rangeOf(req),
+    interval: req.query.interval,
+  });
+  sendReport(res, "signups", signups);
+});
+
+// ?groupBy=duration,maxGroupSize&minRating=4
+export const getTourBreakdown = catchAsync(async (req, res, next) => {
+  const breakdown = await analytics.tourBreakdown({
+    groupBy: req.query.groupBy ? req.query.groupBy.split(",") : [],
+    minRating: req.query.minRating,
+  });
+  sendReport(res, "breakdown", breakdown);
+});
@@ -2,40 +2,149 @@ import User from "../models/userModel.js";
 import { catchAsync } from "../utils/catchAsync.js";
 import jwt from "jsonwebtoken";
 import AppError from "../utils/appError.js";
+import { ERROR_CODES } from "../utils/errorCodes.js";
 import { promisify } from "util";
-import sendEmail from "../utils/email.js";
+import Email from "../utils/email.js";
 import crypto from "crypto";
+import Session from "../models/sessionModel.js";
+import { getPolicy, isAllowed } from "../utils/policies.js";
+import {
+  getLockout,
+  recordFailure,
+  clearFailures,
+} from "../utils/loginAttempts.js";
+import bcrypt from "bcryptjs";
+
+// Compared against when no user has the email, so timing doesn't tell
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync("not-a-real-password", 12);
+
+const REFRESH_COOKIE_PATH = "/api/v1/users";
+const TWO_FACTOR_PURPOSE = "2fa-login";
+
+// Proves the password step of a two-step login, useless for anything else
+const signChallengeToken = (id) =>
+  jwt.sign({ id, purpose: TWO_FACTOR_PURPOSE }, process.env.JWT_SECRET, {
+    expiresIn: "5m",
+  });
+
+// Answer to a correct password of an enrolled user, /login/2fa finishes it
+const sendTwoFactorChallenge = (user, res) =>
+  res.status(200).json({
+    status: "success",
+    twoFactorRequired: true,
+    challengeToken: signChallengeToken(user._id),
+  });
 
-const signToken = (id) => {
-  return jwt.sign({ id: id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN,
+// Roles that must enroll in 2FA before they can do anything but manage
+// their own account, e.g. TWO_FACTOR_REQUIRED_ROLES=admin,lead-guide
+const twoFactorRequired = (user) =>
+  !user.twoFactorEnabled &&
+  (process.env.TWO_FACTOR_REQUIRED_ROLES || "")
+    .split(",")
+    .map((el) => el.trim())
+    .includes(user.role);
+
+// Short-lived access token, bound to the session it was issued for
+const signToken = (id, sessionId) => {
+  return jwt.sign({ id: id, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_ACCESS_EXPIRES_IN || "15m",
   });
 };
 
-const createSendToken = (user, statusCode, res) => {
-  const token = signToken(user._id);
-  const cookieOptions = {
-    expires: new Date(
-      Date.now() + process.env.JWT_COOKIE_EXPIRES_IN * 24 * 60 * 60 * 1000
-    ),
-    httpOnly: true,
-  };
+const cookieOptions = (extra = {}) => {
+  const options = { httpOnly: true, ...extra };
+  if (process.env.NODE_ENV === "production") options.secure = true;
+  return options;
+};
+
+const clearAuthCookies = (res) => {
+  res.clearCookie("jwt", cookieOptions());
+  res.clearCookie(
+    "refreshToken",
+    cookieOptions({ path: REFRESH_COOKIE_PATH, sameSite: "strict" })
+  );
+};
 
-  if (process.env.NODE_ENV === "production") cookieOptions.secure = true;
+const sendTokens = (user, session, refreshToken, statusCode, res) => {
+  const token = signToken(user._id, session._id);
 
-  res.cookie("jwt", token, cookieOptions);
+  res.cookie(
+    "jwt",
+    token,
+    cookieOptions({
+      expires: new Date(
+        Date.now() + process.env.JWT_COOKIE_EXPIRES_IN * 24 * 60 * 60 * 1000
+      ),
+    })
+  );
+  res.cookie(
+    "refreshToken",
+    refreshToken,
+    cookieOptions({
+      expires: session.expiresAt,
+      path: REFRESH_COOKIE_PATH,
+      sameSite: "strict",
+    })
+  );
 
   user.password = undefined;
 
   res.status(statusCode).json({
     status: "success",
     token,
+    refreshToken,
     data: {
       user,
     },
   });
 };
 
+// Start a new session (one per login) and send its tokens
+const createSendToken = async (user, statusCode, req, res) => {
+  const { session, refreshToken } = await Session.start(user._id, req);
+  sendTokens(user, session, refreshToken, statusCode, res);
+};
+
+const getAccessToken = (req) => {
+  if (
+    req.headers.authorization &&
+    req.headers.authorization.startsWith("Bearer")
+  ) {
+    return req.headers.authorization.split(" ")[1];
+  }
+  if (req.cookies && req.cookies.jwt) return req.cookies.jwt;
+};
+
+const getRefreshToken = (req) =>
+  (req.body && req.body.refreshToken) ||
+  (req.cookies && req.cookies.refreshToken);
+
+// Send a confirmation link to the new address (pendingEmail) if there is
+// one, otherwise to the account email. New accounts get the welcome email.
+export const sendVerificationEmail = async (user, req, welcome = false) => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  const verifyURL = `${req.protocol}://${req.get(
+    "host"
+  )}/api/v1/users/verifyEmail/${verificationToken}`;
+
+  try {
+    const email = new Email(user, verifyURL, user.pendingEmail || user.email);
+    if (welcome) await email.sendWelcome();
+    else await email.sendEmailVerification();
+  } catch (err) {
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+    throw new AppError(
+      "There was an error sending the email. Try again later!",
+      500,
+      ERROR_CODES.EMAIL_SEND_FAILED
+    );
+  }
+};
+
 export const signup = catchAsync(async (req, res, next) => {
   const { name, email, password, passwordConfirm } = req.body;
   const newUser = await User.create({
@@ -44,19 +153,17 @@ export const signup = catchAsync(async (req, res, next) => {
     password,
     passwordConfirm,
     passwordChangedAt: Date.now(),
+    emailVerified: false,
   });
 
-  newUser.password = undefined;
-
-  const token = signToken(newUser._id);
+  // The account exists either way, the link can be sent again later
+  try {
+    await sendVerificationEmail(newUser, req, true);
+  } catch (err) {
+    console.error("ERROR 💥", err);
+  }
 
-  res.status(201).json({
-    status: "success",
-    token,
-    data: {
-      user: newUser,
-    },
-  });
+  await createSendToken(newUser, 201, req, res);
 });
 
 export const login = catchAsync(async (req, res, next) => {
@@ -65,30 +172,203 @@ export const login = catchAsync(async (req, res, next) => {
     return next(new AppError("Please provide email and password!", 400));
   }
 
+  // 1) Locked out after repeated failures, same answer for unknown emails
+  const lockout = await getLockout(email);
+  if (lockout) {
+    return next(
+      new AppError(
+        `Too many failed login attempts. Please try again in ${Math.ceil(
+          lockout / 60000
+        )} minute(s).`,
+        429,
+        ERROR_CODES.ACCOUNT_LOCKED
+      )
+    );
+  }
+
+  // 2) Check the password; unknown emails still pay for a bcrypt compare
   const user = await User.findOne({ email }).select("+password");
+  const correct = await bcrypt.compare(
+    `${password}`,
+    user ? user.password : DUMMY_PASSWORD_HASH
+  );
 
-  if (!user || !(await user.correctPassword(password, user.password))) {
-    return next(new AppError("Incorrect email or password", 401));
+  if (!user || !correct) {
+    await recordFailure(email);
+    return next(
+      new AppError(
+        "Incorrect email or password",
+        401,
+        ERROR_CODES.INVALID_CREDENTIALS
+      )
+    );
   }
 
-  // 3) If everything ok, send token to client
-  const token = signToken(user._id);
+  await clearFailures(email);
 
-  res.status(201).json({
-    status: "success",
-    token,
-  });
+  // 3) Enrolled users still have to pass the second factor
+  if (user.twoFactorEnabled) return sendTwoFactorChallenge(user, res);
+
+  // 4) If everything ok, send token to client
+  await createSendToken(user, 201, req, res);
+});
+
+// Second login step: challenge token from /login plus a TOTP or recovery code
+export const loginTwoFactor = catchAsync(async (req, res, next) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+  if (!challengeToken || (!code && !recoveryCode)) {
+    return next(
+      new AppError(
+        "Please provide the challengeToken and a code or recoveryCode!",
+        400
+      )
+    );
+  }
+
+  let decoded;
+  try {
+    decoded = await promisify(jwt.verify)(
+      challengeToken,
+      process.env.JWT_SECRET
+    );
+  } catch (err) {
+    decoded = null;
+  }
+  if (!decoded || decoded.purpose !== TWO_FACTOR_PURPOSE) {
+    return next(
+      new AppError(
+        "Your login has expired. Please log in again.",
+        401,
+        ERROR_CODES.TOKEN_EXPIRED
+      )
+    );
+  }
+
+  const attemptsKey = `2fa:${decoded.id}`;
+  const lockout = await getLockout(attemptsKey);
+  if (lockout) {
+    return next(
+      new AppError(
+        `Too many failed attempts. Please try again in ${Math.ceil(
+          lockout / 60000
+        )} minute(s).`,
+        429,
+        ERROR_CODES.ACCOUNT_LOCKED
+      )
+    );
+  }
+
+  const user = await User.findById(decoded.id).select("+twoFactorSecret");
+  if (!user || !user.twoFactorEnabled) {
+    return next(
+      new AppError(
+        "Your login has expired. Please log in again.",
+        401,
+        ERROR_CODES.TOKEN_EXPIRED
+      )
+    );
+  }
+
+  if (!(await user.verifySecondFactor({ code, recoveryCode }))) {
+    await recordFailure(attemptsKey);
+    return next(
+      new AppError(
+        "Invalid authentication code.",
+        401,
+        ERROR_CODES.TWO_FACTOR_INVALID_CODE
+      )
+    );
+  }
+
+  await clearFailures(attemptsKey);
+  user.twoFactorSecret = undefined;
+  await createSendToken(user, 201, req, res);
+});
+
+// Swap a refresh token for a new access + refresh token pair
+export const refresh = catchAsync(async (req, res, next) => {
+  const token = getRefreshToken(req);
+  if (!token) {
+    return next(new AppError("Please provide a refresh token.", 401));
+  }
+
+  const { session, refreshToken, reused } = await Session.rotate(token);
+
+  if (reused) {
+    clearAuthCookies(res);
+    return next(
+      new AppError(
+        "This refresh token was already used. Please log in again.",
+        401,
+        ERROR_CODES.REFRESH_TOKEN_REUSED
+      )
+    );
+  }
+
+  if (!refreshToken) {
+    clearAuthCookies(res);
+    return next(
+      new AppError(
+        "Your session has expired. Please log in again.",
+        401,
+        ERROR_CODES.SESSION_EXPIRED
+      )
+    );
+  }
+
+  const user = await User.findById(session.user);
+  if (!user) {
+    await session.revoke("user no longer exists");
+    clearAuthCookies(res);
+    return next(
+      new AppError(
+        "The user belonging to this token no longer exist.",
+        401,
+        ERROR_CODES.USER_NOT_FOUND
+      )
+    );
+  }
+
+  sendTokens(user, session, refreshToken, 200, res);
+});
+
+// Works with an expired access token too, the refresh token is enough
+export const logout = catchAsync(async (req, res, next) => {
+  let session;
+
+  const refreshToken = getRefreshToken(req);
+  if (refreshToken) session = await Session.findByRefreshToken(refreshToken);
+
+  const accessToken = getAccessToken(req);
+  if (!session && accessToken) {
+    try {
+      const decoded = await promisify(jwt.verify)(
+        accessToken,
+        process.env.JWT_SECRET,
+        { ignoreExpiration: true }
+      );
+      if (decoded.sid) session = await Session.findById(decoded.sid);
+    } catch (err) {
+      // An invalid token has no session to revoke
+    }
+  }
+
+  if (session && !session.revokedAt) await session.revoke("logout");
+
+  clearAuthCookies(res);
+  res.status(200).json({ status: "success" });
+});
+
+export const logoutAll = catchAsync(async (req, res, next) => {
+  await Session.revokeAll(req.user.id, "logout all devices");
+
+  clearAuthCookies(res);
+  res.status(200).json({ status: "success" });
 });
 
 export const protect = catchAsync(async (req, res, next) => {
   // 1) Getting token and check of it's there
-  let token;
-  if (
-    req.headers.authorization &&
-    req.headers.authorization.startsWith("Bearer")
-  ) {
-    token = req.headers.authorization.split(" ")[1];
-  }
+  const token = getAccessToken(req);
 
   if (!token) {
     return next(
@@ -98,39 +378,109 @@ export const protect = catchAsync(async (req, res, next) => {
 
   const decoded = await promisify(jwt.verify)(token, process.env.JWT_SECRET);
 
+  // 2) Check the session was not logged out or revoked
+  const sessionActive =
+    decoded.sid &&
+    (await Session.exists({
+      _id: decoded.sid,
+      user: decoded.id,
+      revokedAt: null,
+    }));
+  if (!sessionActive) {
+    return next(
+      new AppError(
+        "Your session has ended. Please log in again.",
+        401,
+        ERROR_CODES.SESSION_EXPIRED
+      )
+    );
+  }
+
   const currentUser = await User.findById(decoded.id);
   if (!currentUser) {
     return next(
-      new AppError("The user belonging to this token no longer exist.", 401)
+      new AppError(
+        "The user belonging to this token no longer exist.",
+        401,
+        ERROR_CODES.USER_NOT_FOUND
+      )
     );
   }
 
   if (currentUser.changedPasswordAfter(decoded.iat)) {
     return next(
-      new AppError("User recently changed password! Please log in again.", 401)
+      new AppError(
+        "User recently changed password! Please log in again.",
+        401,
+        ERROR_CODES.PASSWORD_CHANGED
+      )
     );
   }
 
   req.user = currentUser;
+  req.sessionId = decoded.sid;
   next();
 });
 
-export const restrictTo = (...roles) => {
-  return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
+export const requireVerifiedEmail = (req, res, next) => {
+  if (req.user.emailVerified === false) {
+    return next(
+      new AppError(
+        "Please verify your email address to do this.",
+        403,
+        ERROR_CODES.EMAIL_NOT_VERIFIED
+      )
+    );
+  }
+  next();
+};
+
+// Route guard driven by utils/policies.js. Logs the user in first unless the
+// policy is public, so routes never need a separate protect.
+// The guard carries its policy name so tests can check every route has one.
+export const authorize = (resource, action) => {
+  const policy = getPolicy(resource, action);
+  const named = (guard) =>
+    Object.assign(guard, { policy: `${resource}.${action}` });
+
+  if (policy === "public") return named((req, res, next) => next());
+
+  const check = catchAsync(async (req, res, next) => {
+    if (!(await isAllowed(policy, req))) {
       return next(
         new AppError("You do not have permission to perform this action", 403)
       );
     }
+    if (resource !== "account" && twoFactorRequired(req.user)) {
+      return next(
+        new AppError(
+          "Please set up two-factor authentication to perform this action",
+          403,
+          ERROR_CODES.TWO_FACTOR_SETUP_REQUIRED
+        )
+      );
+    }
     next();
-  };
+  });
+
+  return named((req, res, next) => {
+    if (req.user) return check(req, res, next);
+    protect(req, res, (err) => (err ? next(err) : check(req, res, next)));
+  });
 };
 
+const FORGOT_PASSWORD_MESSAGE =
+  "If an account with that email exists, a reset link has been sent to it.";
+
 export const forgotPassword = catchAsync(async (req, res, next) => {
   // 1) Get user based on POSTed email
+  // Unknown emails get the same answer, so it can't be used to find accounts
   const user = await User.findOne({ email: req.body.email });
   if (!user) {
-    return next(new AppError("There is no user with email address.", 404));
+    return res.status(200).json({
+      status: "success",
+      message: FORGOT_PASSWORD_MESSAGE,
+    });
   }
   // 2) Generate the random reset token
   const resetToken = user.createPasswordResetToken();
@@ -141,29 +491,21 @@ export const forgotPassword = catchAsync(async (req, res, next) => {
     "host"
   )}/api/v1/users/resetPassword/${resetToken}`;
 
-  const message = `Forgot your password?\n\nSubmit a PATCH request with your new password and passwordConfirm to:\n\n${resetURL}.\n\nIf you didn't forget your password, please ignore this email!`;
-
+  // A failed send gets the same answer too, an error would tell that the
+  // account exists. The token is dropped and the failure only logged.
   try {
-    await sendEmail({
-      email: user.email,
-      subject: "Your password reset token (valid for 10 min)",
-      message,
-    });
-
-    res.status(200).json({
-      status: "success",
-      message: "Token sent to email!",
-    });
+    await new Email(user, resetURL).sendPasswordReset();
   } catch (err) {
+    console.error("PASSWORD RESET EMAIL FAILED 💥", err);
     user.passwordResetToken = undefined;
     user.passwordResetExpires = undefined;
     await user.save({ validateBeforeSave: false });
-
-    return next(
-      new AppError("There was an error sending the email. Try again later!"),
-      500
-    );
   }
+
+  res.status(200).json({
+    status: "success",
+    message: FORGOT_PASSWORD_MESSAGE,
+  });
 });
 
 export const resetPassword = catchAsync(async (req, res, next) => {
@@ -178,7 +520,13 @@ export const resetPassword = catchAsync(async (req, res, next) => {
   });
 
   if (!user) {
-    return next(new AppError("Token is invalid or has expired", 400));
+    return next(
+      new AppError(
+        "Token is invalid or has expired",
+        400,
+        ERROR_CODES.TOKEN_INVALID
+      )
+    );
   }
 
   user.password = req.body.password;
@@ -188,12 +536,12 @@ export const resetPassword = catchAsync(async (req, res, next) => {
 
   await user.save();
 
-  const token = signToken(user._id);
+  // A new password ends every existing session
+  await Session.revokeAll(user._id, "password reset");
 
-  res.status(201).json({
-    status: "success",
-    token,
-  });
+  // The reset link stands in for the password only, not the second factor
+  if (user.twoFactorEnabled) return sendTwoFactorChallenge(user, res);
+  await createSendToken(user, 201, req, res);
 });
 
 export const updatePassword = catchAsync(async (req, res, next) => {
@@ -202,7 +550,13 @@ export const updatePassword = catchAsync(async (req, res, next) => {
 
   // 2) Check if POSTed current password is correct
   if (!(await user.correctPassword(req.body.passwordCurrent, user.password))) {
-    return next(new AppError("Your current password is wrong.", 401));
+    return next(
+      new AppError(
+        "Your current password is wrong.",
+        401,
+        ERROR_CODES.INVALID_CREDENTIALS
+      )
+    );
   }
 
   // 3) If so, update password
@@ -211,6 +565,61 @@ export const updatePassword = catchAsync(async (req, res, next) => {
   await user.save();
   // User.findByIdAndUpdate will NOT work as intended!
 
-  // 4) Log user in, send JWT
-  createSendToken(user, 200, res);
+  // 4) Log out every other session, log user in, send JWT
+  await Session.revokeAll(user._id, "password changed");
+  await createSendToken(user, 200, req, res);
+});
+
+export const verifyEmail = catchAsync(async (req, res, next) => {
+  const hashedToken = crypto
+    .createHash("sha256")
+    .update(req.params.token)
+    .digest("hex");
+
+  const user = await User.findOne({
+    emailVerificationToken: hashedToken,
+    emailVerificationExpires: { $gt: Date.now() },
+  });
+
+  if (!user) {
+    return next(
+      new AppError(
+        "Token is invalid or has expired",
+        400,
+        ERROR_CODES.TOKEN_INVALID
+      )
+    );
+  }
+
+  // An email change only takes effect once the new address is confirmed
+  if (user.pendingEmail) {
+    user.email = user.pendingEmail;
+    user.pendingEmail = undefined;
+  }
+  user.emailVerified = true;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpires = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      user,
+    },
+  });
+});
+
+export const resendVerification = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+
+  if (user.emailVerified !== false && !user.pendingEmail) {
+    return next(new AppError("Your email address is already verified.", 400));
+  }
+
+  await sendVerificationEmail(user, req);
+
+  res.status(200).json({
+    status: "success",
+    message: "Verification email sent!",
+  });
 });
@@ -0,0 +1,84 @@
+import Booking from "../models/bookingModel.js";
+import Tour from "../models/tourModel.js";
+import { catchAsync } from "../utils/catchAsync.js";
+import AppError from "../utils/appError.js";
+import * as factory from "./handlerFactory.js";
+import Email from "../utils/email.js";
+
+// A failed email must not undo a booking, so errors are only logged
+export const sendBookingConfirmation = async (bookingId, req) => {
+  try {
+    const booking = await Booking.findById(bookingId);
+    if (!booking || !booking.user || !booking.tour) return;
+
+    const url = `${req.protocol}://${req.get(
+      "host"
+    )}/api/v1/bookings/my-bookings`;
+    await new Email(booking.user, url).sendBookingConfirmation(booking);
+  } catch (err) {
+    console.error("ERROR 💥", err);
+  }
+};
+
+// GET ALL BOOKINGS (OPTIONALLY FOR ONE TOUR)
+export const getAllBookings = factory.getAll(Booking, {
+  filter: (req) => (req.params.tourId ? { tour: req.params.tourId } : {}),
+});
+
+// GET THE BOOKINGS OF THE CURRENT USER
+export const getMyBookings = factory.getAll(Booking, {
+  filter: (req) => ({ user: req.user.id }),
+});
+
+// Access to a single booking is checked by the booking policies
+export const getBooking = factory.getOne(Booking);
+
+export const createBooking = catchAsync(async (req, res, next) => {
+  const tourId = req.params.tourId || req.body.tour;
+
+  if (!tourId || !req.body.startDate) {
+    return next(new AppError("Please provide a tour and a startDate!", 400));
+  }
+
+  const tour = await Tour.findById(tourId);
+  if (!tour) {
+    return next(new AppError("No tour found with that ID", 404));
+  }
+
+  const booking = await Booking.reserve({
+    tour,
+    user: req.user.id,
+    startDate: req.body.startDate,
+    seats: req.body.seats === undefined ? 1 : req.body.seats * 1,
+  });
+
+  await sendBookingConfirmation(booking._id, req);
+
+  res.status(201).json({
+    status: "success",
+    data: {
+      booking,
+    },
+  });
+});
+
+export const cancelBooking = catchAsync(async (req, res, next) => {
+  const booking = await Booking.findById(req.params.id);
+
+  if (!booking) {
+    return next(new AppError("No booking found with that ID", 404));
+  }
+
+  const cancelled = await Booking.cancel(booking._id);
+
+  if (!cancelled) {
+    return next(new AppError("This booking is already cancelled.", 400));
+  }
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      booking: cancelled,
+    },
+  });
+});
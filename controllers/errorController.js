@@ -1,61 +1,99 @@
 import AppError from "../utils/appError.js";
+import { ERROR_CODES } from "../utils/errorCodes.js";
 
 const handleCastErrorDB = (err) => {
   const message = `Invalid ${err.path}: ${err.value}.`;
-  return new AppError(message, 400);
+  const code =
+    err.kind === "ObjectId"
+      ? ERROR_CODES.INVALID_ID
+      : ERROR_CODES.VALIDATION_ERROR;
+  return new AppError(message, 400, code, [
+    { field: err.path, message, kind: "cast" },
+  ]);
 };
 
 const handleDuplicateFieldsDB = (err) => {
-  const value = err.errmsg.match(/(["'])(\\?.)*?\1/)[0];
-  const message = `Duplicate field value: ${value}. Please use another value!`;
-  return new AppError(message, 400);
+  const details = Object.entries(err.keyValue || {}).map(([field, value]) => ({
+    field,
+    message: `${field} "${value}" is already in use.`,
+    kind: "unique",
+  }));
+  const fields = details.map((el) => el.field).join(", ");
+  const message = `Duplicate field value${
+    fields ? ` for ${fields}` : ""
+  }. Please use another value!`;
+  return new AppError(message, 400, ERROR_CODES.DUPLICATE_VALUE, details);
 };
 
 const handleValidationErrorDB = (err) => {
-  const errors = Object.values(err.errors).map((el) => el.message);
-  const message = `Invalid input data. ${errors.join(". ")}`;
-  return new AppError(message, 400);
+  const details = Object.values(err.errors).map((el) => ({
+    field: el.path,
+    message: el.message,
+    kind: el.kind,
+  }));
+  const message = `Invalid input data. ${details
+    .map((el) => el.message.replace(/\.$/, ""))
+    .join(". ")}.`;
+  return new AppError(message, 400, ERROR_CODES.VALIDATION_ERROR, details);
 };
 
-const sendErrorDev = (err, res) => {
-  res.status(err.statusCode).json({
-    status: err.status,
-    error: err,
-    message: err.message,
-    stack: err.stack,
-  });
+const handleJWTError = () =>
+  new AppError(
+    "Invalid token. Please log in again!",
+    401,
+    ERROR_CODES.TOKEN_INVALID
+  );
+
+const handleJWTExpiredError = () =>
+  new AppError(
+    "Your token has expired! Please log in again.",
+    401,
+    ERROR_CODES.TOKEN_EXPIRED
+  );
+
+// Errors raised by express.json before any route runs
+const handleBodyParserError = (err) =>
+  err.type === "entity.too.large"
+    ? new AppError("Request body is too large.", 413)
+    : new AppError(
+        "Request body is not valid JSON.",
+        400,
+        ERROR_CODES.INVALID_JSON
+      );
+
+// Operational AppError for known error types, anything else is returned as is
+export const normalizeError = (err) => {
+  if (err instanceof AppError) return err;
+  if (err.name === "CastError") return handleCastErrorDB(err);
+  if (err.code === 11000) return handleDuplicateFieldsDB(err);
+  if (err.name === "ValidationError") return handleValidationErrorDB(err);
+  if (err.name === "JsonWebTokenError") return handleJWTError();
+  if (err.name === "TokenExpiredError") return handleJWTExpiredError();
+  if (err.type === "entity.parse.failed" || err.type === "entity.too.large")
+    return handleBodyParserError(err);
+  return err;
 };
 
-const sendErrorProd = (err, res) => {
-  if (err.isOperational) {
-    res.status(err.statusCode).json({
-      status: err.status,
-      message: err.message,
-    });
-  } else {
+// Same response shape in every environment:
+// { status, code, message, details? }
+export const globalErrorHandler = (err, req, res, next) => {
+  const error = normalizeError(err);
+
+  if (!error.isOperational) {
     console.error("ERROR 💥", err);
-    res.status(500).json({
+    return res.status(500).json({
       status: "error",
+      code: ERROR_CODES.INTERNAL_ERROR,
       message: "Something went very wrong!",
     });
   }
-};
-
-export const globalErrorHandler = (err, req, res, next) => {
-  err.statusCode = err.statusCode || 500;
-  err.status = err.status || "error";
 
-  if (process.env.NODE_ENV === "development") {
-    sendErrorDev(err, res);
-  } else if (process.env.NODE_ENV === "production ") {
-    // let error = { ...err }; // This doesn't work
-    let error = Object.create(err); // Use this.
+  if (process.env.NODE_ENV === "development") console.error(err.stack);
 
-    if (error.name === "CastError") error = handleCastErrorDB(error);
-    if (error.code === 11000) error = handleDuplicateFieldsDB(error);
-    if (error.name === "ValidationError")
-      error = handleValidationErrorDB(error);
-
-    sendErrorProd(error, res);
-  }
+  res.status(error.statusCode).json({
+    status: error.status,
+    code: error.code,
+    message: error.message,
+    ...(error.details && { details: error.details }),
+  });
 };
@@ -0,0 +1,242 @@
+import APIFeatures from "../utils/apiFeatures.js";
+import { catchAsync } from "../utils/catchAsync.js";
+import AppError from "../utils/appError.js";
+import { exportColumns, streamExport } from "../utils/exporter.js";
+import { parseImportRows } from "../utils/importer.js";
+import { checkFields } from "../utils/validation.js";
+import { normalizeError } from "./errorController.js";
+
+// Response keys are derived from the model, e.g. Tour -> "tour" / "tours"
+const singular = (Model) =>
+  Model.modelName.charAt(0).toLowerCase() + Model.modelName.slice(1);
+const plural = (Model) => Model.collection.collectionName;
+
+// Absolute link to the current list route with new paging parameters
+const pageLink = (req, params) => {
+  if (!params) return null;
+
+  const query = { ...req.query, ...params };
+  if (params.cursor) delete query.page;
+  if (params.page) delete query.cursor;
+
+  // Keep bracket operators such as price[gte]=500 intact
+  const search = new URLSearchParams();
+  Object.entries(query).forEach(([key, value]) => {
+    if (value && typeof value === "object" && !Array.isArray(value)) {
+      Object.entries(value).forEach(([op, el]) =>
+        search.append(`${key}[${op}]`, el)
+      );
+    } else {
+      [].concat(value).forEach((el) => search.append(key, el));
+    }
+  });
+
+  return `${req.protocol}://${req.get("host")}${req.baseUrl}${
+    req.path === "/" ? "" : req.path
+  }?${search.toString()}`;
+};
+
+const notFound = (Model) =>
+  new AppError(`No ${singular(Model)} found with that ID`, 404);
+
+// GET ALL DOCUMENTS
+// options.filter(req) returns (or resolves to) a base filter, e.g. the tour
+// of a nested route,
+// options.maxLimit caps ?limit= for this route, options.search enables ?q=
+export const getAll = (Model, options = {}) =>
+  catchAsync(async (req, res, next) => {
+    const filter = options.filter ? await options.filter(req) : {};
+    let query = Model.find(filter);
+    if (options.popOptions) query = query.populate(options.popOptions);
+
+    let features = new APIFeatures(query, req.query, {
+      maxLimit: options.maxLimit,
+    });
+    if (options.search) features = features.search();
+    features = features.filter().sort().limitFields().paginate();
+
+    const { docs, total, next: nextPage, prev } = await features.exec();
+
+    res.status(200).json({
+      status: "success",
+      results: docs.length,
+      total,
+      links: {
+        next: pageLink(req, nextPage),
+        prev: pageLink(req, prev),
+      },
+      data: {
+        [plural(Model)]: docs,
+      },
+    });
+  });
+
+// EXPORT ALL DOCUMENTS
+// ?format=csv|ndjson streams every match of the getAll filters and sort.
+// options.fields are the default columns, options.filter as in getAll
+export const exportAll = (Model, options = {}) =>
+  catchAsync(async (req, res, next) => {
+    const { format = "csv", ...queryString } = req.query;
+    const filter = options.filter ? await options.filter(req) : {};
+    const columns = exportColumns(Model, queryString.fields, options.fields);
+
+    const features = new APIFeatures(Model.find(filter), queryString)
+      .filter()
+      .sort();
+    const cursor = features.queryFind.select(columns.join(" ")).cursor();
+
+    await streamExport(res, cursor, {
+      format,
+      columns,
+      name: plural(Model),
+    });
+  });
+
+// IMPORT MANY DOCUMENTS
+// Every row is checked against the request schema fields and the model on
+// its own, bad rows are reported and skipped. ?dryRun=true only validates.
+const rowErrors = (err) => {
+  const error = normalizeError(err);
+  if (!error.isOperational) throw err;
+  return error.details || [{ message: error.message, kind: "error" }];
+};
+
+export const importMany = (Model, fields) =>
+  catchAsync(async (req, res, next) => {
+    const rows = parseImportRows(req, fields);
+    const dryRun = req.query.dryRun === true;
+
+    // Unique values are checked up front so a dry run reports them too
+    const uniquePaths = Object.keys(Model.schema.paths).filter(
+      (path) => Model.schema.path(path).options.unique
+    );
+    const seen = new Map(uniquePaths.map((path) => [path, new Set()]));
+
+    const results = [];
+    for (const [i, row] of rows.entries()) {
+      const errors = row.error ? [{ message: row.error, kind: "parse" }] : [];
+      let doc;
+
+      if (!errors.length) {
+        doc = new Model(checkFields(fields, row.data, errors));
+      }
+      if (!errors.length) {
+        await doc.validate().catch((err) => errors.push(...rowErrors(err)));
+      }
+      if (!errors.length) {
+        for (const path of uniquePaths) {
+          const value = doc.get(path);
+          if (value === undefined) continue;
+          if (
+            seen.get(path).has(`${value}`) ||
+            (await Model.collection.countDocuments(
+              { [path]: value },
+              { limit: 1 }
+            ))
+          ) {
+            errors.push({
+              field: path,
+              message: `${path} "${value}" is already in use.`,
+              kind: "unique",
+            });
+          }
+          seen.get(path).add(`${value}`);
+        }
+      }
+      if (!errors.length && !dryRun) {
+        await doc
+          .save({ validateBeforeSave: false })
+          .catch((err) => errors.push(...rowErrors(err)));
+      }
+
+      results.push(
+        errors.length
+          ? { row: i + 1, status: "failed", errors }
+          : dryRun
+          ? { row: i + 1, status: "valid" }
+          : { row: i + 1, status: "created", id: doc._id }
+      );
+    }
+
+    const failed = results.filter((el) => el.status === "failed").length;
+    const created = dryRun ? 0 : rows.length - failed;
+
+    res.status(created ? 201 : 200).json({
+      status: "success",
+      dryRun,
+      total: rows.length,
+      succeeded: rows.length - failed,
+      failed,
+      data: {
+        rows: results,
+      },
+    });
+  });
+
+// GET ONE DOCUMENT
+export const getOne = (Model, options = {}) =>
+  catchAsync(async (req, res, next) => {
+    let query = Model.findById(req.params.id);
+    if (options.popOptions) query = query.populate(options.popOptions);
+
+    const doc = await query;
+
+    if (!doc) {
+      return next(notFound(Model));
+    }
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        [singular(Model)]: doc,
+      },
+    });
+  });
+
+// CREATE ONE DOCUMENT
+export const createOne = (Model) =>
+  catchAsync(async (req, res, next) => {
+    const doc = await Model.create(req.body);
+
+    res.status(201).json({
+      status: "success",
+      data: {
+        [singular(Model)]: doc,
+      },
+    });
+  });
+
+// UPDATE ONE DOCUMENT WITH PATCH
+export const updateOne = (Model) =>
+  catchAsync(async (req, res, next) => {
+    const doc = await Model.findByIdAndUpdate(req.params.id, req.body, {
+      new: true,
+      runValidators: true,
+    });
+
+    if (!doc) {
+      return next(notFound(Model));
+    }
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        [singular(Model)]: doc,
+      },
+    });
+  });
+
+// DELETE ONE DOCUMENT WITH DELETE
+export const deleteOne = (Model) =>
+  catchAsync(async (req, res, next) => {
+    const doc = await Model.findByIdAndDelete(req.params.id);
+
+    if (!doc) {
+      return next(notFound(Model));
+    }
+
+    res.status(204).json({
+      status: "success",
+      data: null,
+    });
+  });
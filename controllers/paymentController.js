@@ -0,0 +1,195 @@
+import Booking from "../models/bookingModel.js";
+import Payment from "../models/paymentModel.js";
+import Tour from "../models/tourModel.js";
+import { getPaymentProvider } from "../utils/payments/index.js";
+import { catchAsync } from "../utils/catchAsync.js";
+import AppError from "../utils/appError.js";
+import { ERROR_CODES } from "../utils/errorCodes.js";
+import { sendBookingConfirmation } from "./bookingController.js";
+
+const applyEvent = async (provider, event, req) => {
+  const payment = await Payment.findOne({
+    provider: provider.name,
+    sessionId: event.data.sessionId,
+  }).select("+processedEvents");
+
+  if (!payment) {
+    throw new AppError("No payment found for that checkout session", 404);
+  }
+
+  // Duplicate delivery of an event we already handled
+  if (payment.processedEvents.includes(event.id)) {
+    return { payment, duplicate: true };
+  }
+
+  if (event.type === "checkout.session.completed") {
+    if (event.data.amount !== payment.amount) {
+      throw new AppError("Paid amount does not match the payment.", 400);
+    }
+
+    const paid = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: "pending" },
+      {
+        status: "paid",
+        paidAt: Date.now(),
+        $addToSet: { processedEvents: event.id },
+      },
+      { new: true }
+    );
+
+    if (paid) {
+      const booking = await Booking.findOneAndUpdate(
+        { _id: payment.booking, status: "pending" },
+        { status: "confirmed", $unset: { expiresAt: 1 } }
+      );
+      if (booking) {
+        await sendBookingConfirmation(booking._id, req);
+        return { payment: paid, duplicate: false };
+      }
+
+      // The hold expired or the booking was cancelled before the money
+      // came in. Its seats may be gone, so the payment is flagged for a
+      // refund instead of confirming the booking.
+      const refundDue = await Payment.findByIdAndUpdate(
+        payment._id,
+        { status: "refund-due" },
+        { new: true }
+      );
+      console.error(`PAYMENT ${payment.id} IS DUE A REFUND 💥`);
+      return { payment: refundDue, duplicate: false };
+    }
+  } else if (event.type === "checkout.session.expired") {
+    const failed = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: "pending" },
+      { status: "failed", $addToSet: { processedEvents: event.id } },
+      { new: true }
+    );
+
+    if (failed) {
+      await Booking.cancel(payment.booking, { status: "pending" });
+      return { payment: failed, duplicate: false };
+    }
+  }
+
+  // Unknown event type, or the payment was already settled by another event
+  await Payment.updateOne(
+    { _id: payment._id },
+    { $addToSet: { processedEvents: event.id } }
+  );
+  return { payment, duplicate: true };
+};
+
+export const getCheckoutSession = catchAsync(async (req, res, next) => {
+  // 1) Get the currently selected tour
+  const tour = await Tour.findById(req.params.tourId);
+  if (!tour) {
+    return next(new AppError("No tour found with that ID", 404));
+  }
+
+  if (!req.body.startDate) {
+    return next(new AppError("Please provide a startDate!", 400));
+  }
+
+  // 2) Hold the seats with a pending booking until the payment is confirmed
+  const booking = await Booking.reserve({
+    tour,
+    user: req.user.id,
+    startDate: req.body.startDate,
+    seats: req.body.seats === undefined ? 1 : req.body.seats * 1,
+    status: "pending",
+  });
+
+  // 3) Create the checkout session with the provider
+  const provider = getPaymentProvider();
+  const baseURL = `${req.protocol}://${req.get("host")}`;
+  const payment = await Payment.create({
+    booking: booking._id,
+    tour: tour._id,
+    user: req.user.id,
+    amount: Math.round(booking.price * 100),
+    currency: process.env.PAYMENT_CURRENCY || "usd",
+    provider: provider.name,
+  });
+
+  let session;
+  try {
+    session = await provider.createCheckoutSession({
+      amount: payment.amount,
+      currency: payment.currency,
+      reference: payment.id,
+      customerEmail: req.user.email,
+      description: `${tour.name} (${booking.seats} seat(s))`,
+      successUrl: `${baseURL}/api/v1/bookings/my-bookings`,
+      cancelUrl: `${baseURL}/api/v1/tours/${tour.id}`,
+      expiresAt: booking.expiresAt,
+    });
+  } catch (err) {
+    await Payment.findByIdAndUpdate(payment._id, { status: "failed" });
+    await Booking.cancel(booking._id);
+    throw err;
+  }
+
+  payment.sessionId = session.id;
+  await payment.save();
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      session,
+      booking,
+      payment,
+    },
+  });
+});
+
+// Raw body route: must be mounted before express.json()
+export const webhookCheckout = catchAsync(async (req, res, next) => {
+  const provider = getPaymentProvider();
+  const event = provider.constructEvent(req.body, req.headers);
+  const { duplicate } = await applyEvent(provider, event, req);
+
+  res.status(200).json({ received: true, duplicate });
+});
+
+// The mock checkout only exists with the mock provider and an explicit
+// PAYMENT_MOCK_CHECKOUT=true, for local development
+export const requireMockCheckout = (req, res, next) => {
+  if (
+    process.env.PAYMENT_PROVIDER !== "mock" ||
+    process.env.PAYMENT_MOCK_CHECKOUT !== "true"
+  ) {
+    return next(
+      new AppError(
+        `Can't find ${req.originalUrl} on this server!`,
+        404,
+        ERROR_CODES.ROUTE_NOT_FOUND
+      )
+    );
+  }
+  next();
+};
+
+// Stand-in for the hosted checkout page of the mock provider. Delivers a
+// signed event through the same verification path as the webhook.
+export const mockCheckout = catchAsync(async (req, res, next) => {
+  const provider = getPaymentProvider();
+  const type =
+    req.query.outcome === "expired"
+      ? "checkout.session.expired"
+      : "checkout.session.completed";
+  const { payload, headers } = provider.simulateEvent(
+    req.params.sessionId,
+    type
+  );
+  const event = provider.constructEvent(Buffer.from(payload), headers);
+  const { payment, duplicate } = await applyEvent(provider, event, req);
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      event,
+      payment,
+      duplicate,
+    },
+  });
+});
@@ -1,28 +1,22 @@
-import Review from './../models/reviewModel.js'
-import { catchAsync } from "./../utils/catchAsync.js";
+import Review from "./../models/reviewModel.js";
+import * as factory from "./handlerFactory.js";
 
-export const getAllReviews = catchAsync(async (req, res, next) => {
-  const review = await Review.find();
-
-  res.status(200).json({
-    status: "success",
-    results: review.length,
-    data: {
-      data: review,
-    },
-  });
-});
-
-export const createReview = catchAsync(async (req, res, next) => {
+// Nested routes: /tours/:tourId/reviews. A review is always written by
+// the logged in user.
+export const setTourUserIds = (req, res, next) => {
   if (!req.body.tour) req.body.tour = req.params.tourId;
-  if (!req.body.user) req.body.user = req.user.id;
+  req.body.user = req.user.id;
+  next();
+};
 
-  const newReview = await Review.create(req.body);
-
-  res.status(201).json({
-    status: "success",
-    data: {
-      review: newReview,
-    },
-  });
-});
\ No newline at end of file
+export const getAllReviews = factory.getAll(Review, {
+  filter: (req) => (req.params.tourId ? { tour: req.params.tourId } : {}),
+});
+export const exportReviews = factory.exportAll(Review, {
+  filter: (req) => (req.params.tourId ? { tour: req.params.tourId } : {}),
+  fields: ["_id", "review", "rating", "tour", "user", "createdAt"],
+});
+export const getReview = factory.getOne(Review);
+export const createReview = factory.createOne(Review);
+export const updateReview = factory.updateOne(Review);
+export const deleteReview = factory.deleteOne(Review);
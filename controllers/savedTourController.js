@@ -0,0 +1,58 @@
+import SavedTour from "../models/savedTourModel.js";
+import Tour from "../models/tourModel.js";
+import * as factory from "./handlerFactory.js";
+import { catchAsync } from "../utils/catchAsync.js";
+import AppError from "../utils/appError.js";
+
+// Tours that became secret after they were saved are left out
+export const getMySavedTours = factory.getAll(SavedTour, {
+  filter: async (req) => ({
+    user: req.user._id,
+    tour: { $nin: await Tour.secretTourIds() },
+  }),
+});
+
+// Saving a tour twice is not an error, the first save is kept
+export const saveTour = catchAsync(async (req, res, next) => {
+  // 1) findById hides secret tours
+  const tour = await Tour.findById(req.params.tourId).select("_id");
+  if (!tour) {
+    return next(new AppError("No tour found with that ID", 404));
+  }
+
+  // 2) Upsert so concurrent saves can not create duplicates
+  const result = await SavedTour.updateOne(
+    { user: req.user._id, tour: tour._id },
+    { $setOnInsert: { createdAt: Date.now() } },
+    { upsert: true }
+  );
+  if (result.upsertedCount) await SavedTour.calcSavedCount(tour._id);
+
+  const savedTour = await SavedTour.findOne({
+    user: req.user._id,
+    tour: tour._id,
+  });
+
+  res.status(result.upsertedCount ? 201 : 200).json({
+    status: "success",
+    data: {
+      savedTour,
+    },
+  });
+});
+
+export const unsaveTour = catchAsync(async (req, res, next) => {
+  const savedTour = await SavedTour.findOneAndDelete({
+    user: req.user._id,
+    tour: req.params.tourId,
+  });
+
+  if (!savedTour) {
+    return next(new AppError("This tour is not in your saved tours", 404));
+  }
+
+  res.status(204).json({
+    status: "success",
+    data: null,
+  });
+});
@@ -1,7 +1,15 @@
-import Tour from "./../models/tourModel.js";
-import APIFeatures from "../utils/apiFeatures.js";
+import Tour, { GUIDE_ROLES, dateRanges } from "./../models/tourModel.js";
+import User from "../models/userModel.js";
+import * as factory from "./handlerFactory.js";
 import { catchAsync } from "../utils/catchAsync.js";
 import AppError from "../utils/appError.js";
+import { ERROR_CODES } from "../utils/errorCodes.js";
+import { requestSchemas } from "../utils/requestSchemas.js";
+import slugify from "slugify";
+import { uploadImageFields } from "../middleware/uploadMiddleware.js";
+import { saveTourImage, removeTourImage } from "../utils/tourImages.js";
+
+const MAX_TOUR_IMAGES = process.env.TOUR_MAX_IMAGES * 1 || 10;
 
 // CHEAPEST 5 TOUR
 export const aliasTopTours = (req, res, next) => {
@@ -11,15 +19,64 @@ export const aliasTopTours = (req, res, next) => {
   next();
 };
 
-// GET ALL DOCUMENTS
-export const getAllTours = catchAsync(async (req, res, next) => {
-  const features = new APIFeatures(Tour.find(), req.query)
-    .filter()
-    .sort()
-    .limitFields()
-    .paginate();
+export const getAllTours = factory.getAll(Tour);
+export const getTour = factory.getOne(Tour, {
+  popOptions: { path: "reviews" },
+});
+export const createTour = factory.createOne(Tour);
+
+// EXPORT / IMPORT
+// Secret tours are hidden by the query middleware, so they are not exported
+export const exportTours = factory.exportAll(Tour, {
+  fields: [
+    "_id",
+    "name",
+    "slug",
+    "duration",
+    "maxGroupSize",
+    "difficulty",
+    "price",
+    "priceDiscount",
+    "ratingsAverage",
+    "ratingsQuantity",
+    "savedCount",
+    "summary",
+    "description",
+    "imageCover",
+    "images",
+    "startDates",
+    "startLocation",
+    "locations",
+  ],
+});
+
+// Rows take the same fields as POST /tours, exported files can be re-imported
+export const importTours = factory.importMany(
+  Tour,
+  requestSchemas.tour.create.body
+);
+
+// SEARCH
+// /search?q=forest&difficulty=easy, ranked by relevance unless ?sort= is set
+export const searchTours = factory.getAll(Tour, { search: true });
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
 
-  const tours = await features.queryFind;
+// Name and slug prefix matches for the search box
+export const autocompleteTours = catchAsync(async (req, res, next) => {
+  const { q, limit = 5 } = req.query;
+  const slugPrefix = slugify(q, { lower: true });
+
+  const conditions = [{ name: new RegExp(`(^|\\s)${escapeRegex(q)}`, "i") }];
+  if (slugPrefix) {
+    conditions.push({ slug: new RegExp(`^${escapeRegex(slugPrefix)}`) });
+  }
+
+  const tours = await Tour.find({ $or: conditions })
+    .select("name slug")
+    .sort("name")
+    .limit(limit)
+    .lean();
 
   res.status(200).json({
     status: "success",
@@ -29,15 +86,17 @@ export const getAllTours = catchAsync(async (req, res, next) => {
     },
   });
 });
+export const updateTour = factory.updateOne(Tour);
+export const deleteTour = factory.deleteOne(Tour);
 
-// GET ONE DOCUMENT
-export const getTour = catchAsync(async (req, res, next) => {
-  // const tour = await Tour.findById(req.params.id);
-  const tour = await Tour.findById(req.params.id).populate("reviews");
+// TOUR IMAGES
+export const uploadTourImages = uploadImageFields([
+  { name: "imageCover", maxCount: 1 },
+  { name: "images", maxCount: MAX_TOUR_IMAGES },
+]);
 
-  if (!tour) {
-    return next(new AppError("No tour found with that ID", 404));
-  }
+const sendTourImages = async (res, id) => {
+  const tour = await Tour.findById(id).select("name slug imageCover images");
 
   res.status(200).json({
     status: "success",
@@ -45,44 +104,405 @@ export const getTour = catchAsync(async (req, res, next) => {
       tour,
     },
   });
+};
+
+// Replace the cover and/or append gallery images
+export const addTourImages = catchAsync(async (req, res, next) => {
+  const tour = await Tour.findById(req.params.id);
+  if (!tour) {
+    return next(new AppError("No tour found with that ID", 404));
+  }
+
+  const cover = req.files && req.files.imageCover && req.files.imageCover[0];
+  const gallery = (req.files && req.files.images) || [];
+
+  if (!cover && !gallery.length) {
+    return next(new AppError("Please upload an imageCover or images.", 400));
+  }
+
+  if (tour.images.length + gallery.length > MAX_TOUR_IMAGES) {
+    return next(
+      new AppError(
+        `A tour can have at most ${MAX_TOUR_IMAGES} gallery images.`,
+        400
+      )
+    );
+  }
+
+  // 1) Resize and store every upload
+  const base = `tour-${tour.slug || slugify(tour.name, { lower: true })}`;
+  const timestamp = Date.now();
+  const coverName = cover && `${base}-cover-${timestamp}.jpeg`;
+  const galleryNames = gallery.map(
+    (el, i) => `${base}-${timestamp}-${i + 1}.jpeg`
+  );
+
+  const saved = [];
+  try {
+    if (cover) {
+      await saveTourImage(cover.buffer, coverName);
+      saved.push(coverName);
+    }
+    for (const [i, file] of gallery.entries()) {
+      await saveTourImage(file.buffer, galleryNames[i]);
+      saved.push(galleryNames[i]);
+    }
+  } catch (err) {
+    await Promise.all(saved.map((el) => removeTourImage(el)));
+    throw err;
+  }
+
+  // 2) Point the tour at the new files, then drop the replaced cover
+  const update = {};
+  if (cover) update.imageCover = coverName;
+  if (galleryNames.length) update.$push = { images: { $each: galleryNames } };
+  await Tour.updateOne({ _id: tour._id }, update);
+
+  if (cover && tour.imageCover) await removeTourImage(tour.imageCover);
+
+  await sendTourImages(res, tour._id);
+});
+
+// Reorder the gallery; images left out of the list are deleted
+export const updateTourImages = catchAsync(async (req, res, next) => {
+  const { images } = req.body;
+  if (
+    !Array.isArray(images) ||
+    images.some((el) => typeof el !== "string") ||
+    new Set(images).size !== images.length
+  ) {
+    return next(
+      new AppError("Please provide images as a list of file names.", 400)
+    );
+  }
+
+  const tour = await Tour.findById(req.params.id);
+  if (!tour) {
+    return next(new AppError("No tour found with that ID", 404));
+  }
+
+  const unknown = images.filter((el) => !tour.images.includes(el));
+  if (unknown.length) {
+    return next(
+      new AppError(`Unknown images for this tour: ${unknown.join(", ")}`, 400)
+    );
+  }
+
+  // Only apply if nobody changed the gallery in the meantime
+  const result = await Tour.updateOne(
+    { _id: tour._id, images: tour.images },
+    { images }
+  );
+  if (!result.matchedCount) {
+    return next(
+      new AppError("The images were changed meanwhile, please retry.", 409)
+    );
+  }
+
+  const removed = tour.images.filter((el) => !images.includes(el));
+  await Promise.all(removed.map((el) => removeTourImage(el)));
+
+  await sendTourImages(res, tour._id);
+});
+
+export const deleteTourImage = catchAsync(async (req, res, next) => {
+  const result = await Tour.updateOne(
+    { _id: req.params.id, images: req.params.filename },
+    { $pull: { images: req.params.filename } }
+  );
+
+  if (!result.matchedCount) {
+    return next(new AppError("No image found with that name", 404));
+  }
+
+  await removeTourImage(req.params.filename);
+
+  await sendTourImages(res, req.params.id);
 });
 
-// CREAT ONE DOCUMENT
-export const createTour = catchAsync(async (req, res, next) => {
-  const newTour = await Tour.create(req.body);
-  res.status(201).json({
+// TOUR START DATES
+// guides is populated by the find middleware, populated() has the ids
+const guideIds = (tour) => tour.populated("guides") || tour.guides;
+
+const guideConflictError = (conflicts) =>
+  new AppError(
+    "A guide of this tour already leads another tour at that time.",
+    409,
+    ERROR_CODES.SCHEDULE_CONFLICT,
+    conflicts.map((el) => ({
+      field: "guide",
+      message: `Guide ${el.guide} leads ${
+        el.tour.name
+      } from ${el.start.toISOString()} to ${el.end.toISOString()}.`,
+      kind: "conflict",
+      guide: el.guide,
+      tour: el.tour._id,
+    }))
+  );
+
+const findTourOr404 = async (id) => {
+  const tour = await Tour.findById(id).select(
+    "maxGroupSize duration startDates guides"
+  );
+  if (!tour) throw new AppError("No tour found with that ID", 404);
+  return tour;
+};
+
+const sendStartDate = async (res, statusCode, tourId, dateId) => {
+  const tour = await findTourOr404(tourId);
+
+  res.status(statusCode).json({
     status: "success",
     data: {
-      tour: newTour,
+      startDate: tour.startDates.id(dateId),
     },
   });
+};
+
+export const getTourDates = catchAsync(async (req, res, next) => {
+  const tour = await findTourOr404(req.params.id);
+  const startDates = [...tour.startDates].sort((a, b) => a.date - b.date);
+
+  res.status(200).json({
+    status: "success",
+    results: startDates.length,
+    data: {
+      startDates,
+    },
+  });
+});
+
+export const addTourDate = catchAsync(async (req, res, next) => {
+  const tour = await findTourOr404(req.params.id);
+  const {
+    date,
+    capacity = tour.maxGroupSize,
+    priceOverride,
+    status,
+  } = req.body;
+
+  if (date.getTime() <= Date.now()) {
+    return next(new AppError("A new start date must be in the future.", 400));
+  }
+
+  // The assigned guides have to be free for the whole tour
+  const conflicts = await Tour.findGuideConflicts(
+    guideIds(tour),
+    dateRanges([{ date }], tour.duration),
+    tour._id
+  );
+  if (conflicts.length) return next(guideConflictError(conflicts));
+
+  // Only pushed if the tour does not start on that date yet
+  const startDate = tour.startDates.create({
+    date,
+    capacity,
+    priceOverride,
+    status,
+  });
+  const result = await Tour.updateOne(
+    { _id: tour._id, "startDates.date": { $ne: date } },
+    { $push: { startDates: startDate } },
+    { runValidators: true }
+  );
+
+  if (!result.modifiedCount) {
+    return next(new AppError("The tour already starts on this date.", 409));
+  }
+
+  await sendStartDate(res, 201, tour._id, startDate._id);
 });
 
-// UPDATE ONE DOCUMENT WITH PATCH
-export const updateTour = catchAsync(async (req, res, next) => {
-  const tour = await Tour.findByIdAndUpdate(req.params.id, req.body, {
-    new: true,
+// capacity can not drop below the seats that are already taken
+export const updateTourDate = catchAsync(async (req, res, next) => {
+  const tour = await findTourOr404(req.params.id);
+  const startDate = tour.startDates.id(req.params.dateId);
+  if (!startDate) {
+    return next(new AppError("No start date found with that ID", 404));
+  }
+
+  // Re-opening a cancelled date needs the guides to be free again
+  if (
+    startDate.status === "cancelled" &&
+    req.body.status &&
+    req.body.status !== "cancelled"
+  ) {
+    const conflicts = await Tour.findGuideConflicts(
+      guideIds(tour),
+      dateRanges([{ date: startDate.date }], tour.duration),
+      tour._id
+    );
+    if (conflicts.length) return next(guideConflictError(conflicts));
+  }
+
+  // null removes the price override
+  const update = { $set: {}, $unset: {} };
+  ["capacity", "priceOverride", "status"].forEach((field) => {
+    if (req.body[field] === null) {
+      update.$unset[`startDates.$[d].${field}`] = 1;
+    } else if (req.body[field] !== undefined) {
+      update.$set[`startDates.$[d].${field}`] = req.body[field];
+    }
+  });
+  if (!Object.keys(update.$unset).length) delete update.$unset;
+
+  const filter = { "d._id": startDate._id };
+  if (req.body.capacity) filter["d.seatsTaken"] = { $lte: req.body.capacity };
+
+  await Tour.updateOne({ _id: tour._id }, update, {
+    arrayFilters: [filter],
     runValidators: true,
   });
 
-  if (!tour) {
-    return next(new AppError("No tour found with that ID", 404));
+  const updated = (await findTourOr404(tour._id)).startDates.id(startDate._id);
+  if (!updated) {
+    return next(new AppError("No start date found with that ID", 404));
+  }
+  if (req.body.capacity && updated.capacity !== req.body.capacity) {
+    return next(
+      new AppError(
+        `Capacity can not be below the ${updated.seatsTaken} seats already taken.`,
+        409
+      )
+    );
   }
 
   res.status(200).json({
     status: "success",
     data: {
-      tour,
+      startDate: updated,
     },
   });
 });
 
-// DELETE ONE DOCUMENT WITH DELETE
-export const deleteTour = catchAsync(async (req, res, next) => {
-  const tour = await Tour.findByIdAndDelete(req.params.id);
+// Dates with bookings have to be cancelled instead
+export const deleteTourDate = catchAsync(async (req, res, next) => {
+  const tour = await findTourOr404(req.params.id);
+  const startDate = tour.startDates.id(req.params.dateId);
+  if (!startDate) {
+    return next(new AppError("No start date found with that ID", 404));
+  }
 
-  if (!tour) {
-    return next(new AppError("No tour found with that ID", 404));
+  const result = await Tour.updateOne(
+    { _id: tour._id },
+    { $pull: { startDates: { _id: startDate._id, seatsTaken: 0 } } }
+  );
+
+  if (!result.modifiedCount) {
+    return next(
+      new AppError(
+        "This start date has bookings. Set its status to cancelled instead.",
+        409
+      )
+    );
+  }
+
+  res.status(204).json({
+    status: "success",
+    data: null,
+  });
+});
+
+// A longer tour may run into other tours of its guides, shorter never does
+export const checkGuidesForDuration = catchAsync(async (req, res, next) => {
+  if (req.body.duration === undefined) return next();
+
+  const tour = await findTourOr404(req.params.id);
+  if (req.body.duration <= tour.duration) return next();
+
+  const conflicts = await Tour.findGuideConflicts(
+    guideIds(tour),
+    dateRanges(tour.startDates, req.body.duration),
+    tour._id
+  );
+  if (conflicts.length) return next(guideConflictError(conflicts));
+  next();
+});
+
+// TOUR GUIDES
+// Staff only, so the guides come with their contact details and role
+const sendTourGuides = async (res, statusCode, tour) => {
+  const guides = await User.find({ _id: { $in: guideIds(tour) } }).select(
+    "name photo email role"
+  );
+
+  res.status(statusCode).json({
+    status: "success",
+    results: guides.length,
+    data: {
+      guides,
+    },
+  });
+};
+
+export const getTourGuides = catchAsync(async (req, res, next) => {
+  const tour = await findTourOr404(req.params.id);
+  await sendTourGuides(res, 200, tour);
+});
+
+export const assignGuide = catchAsync(async (req, res, next) => {
+  const tour = await findTourOr404(req.params.id);
+
+  // 1) Only active guides and lead guides can lead a tour
+  const guide = await User.findById(req.body.guide).select("role");
+  if (!guide) {
+    return next(new AppError("No active user found with that ID", 404));
+  }
+  if (!GUIDE_ROLES.includes(guide.role)) {
+    return next(
+      new AppError(
+        "Only guides and lead guides can be assigned to a tour.",
+        400
+      )
+    );
+  }
+
+  const alreadyAssigned = () =>
+    new AppError("This guide is already assigned to this tour.", 409);
+  if (guideIds(tour).some((id) => id.equals(guide._id))) {
+    return next(alreadyAssigned());
+  }
+
+  // 2) The guide must be free on every date of this tour
+  const conflicts = await Tour.findGuideConflicts(
+    [guide._id],
+    tour.dateRanges(),
+    tour._id
+  );
+  if (conflicts.length) return next(guideConflictError(conflicts));
+
+  // 3) Assign, then look again: an assignment or date change running at the
+  // same time only shows up now, and then this one backs out
+  const result = await Tour.updateOne(
+    { _id: tour._id, guides: { $ne: guide._id } },
+    { $push: { guides: guide._id } }
+  );
+  if (!result.modifiedCount) return next(alreadyAssigned());
+
+  const assigned = await findTourOr404(tour._id);
+  const raced = await Tour.findGuideConflicts(
+    [guide._id],
+    assigned.dateRanges(),
+    tour._id
+  );
+  if (raced.length) {
+    await Tour.updateOne({ _id: tour._id }, { $pull: { guides: guide._id } });
+    return next(guideConflictError(raced));
+  }
+
+  await sendTourGuides(res, 201, await findTourOr404(tour._id));
+});
+
+export const unassignGuide = catchAsync(async (req, res, next) => {
+  const tour = await findTourOr404(req.params.id);
+
+  const result = await Tour.updateOne(
+    { _id: tour._id },
+    { $pull: { guides: req.params.guideId } }
+  );
+
+  if (!result.modifiedCount) {
+    return next(new AppError("This guide is not assigned to this tour.", 404));
   }
 
   res.status(204).json({
@@ -92,93 +512,177 @@ export const deleteTour = catchAsync(async (req, res, next) => {
 });
 
 // AGGREGATION PIPELINE - TOUR STATS
-export const getTourStats = async (req, res) => {
-  try {
-    const stats = await Tour.aggregate([
-      {
-        $match: { ratingsAverage: { $gte: 4.5 } },
-      },
-      {
-        $group: {
-          _id: { $toUpper: "$difficulty" },
-          numTours: { $sum: 1 },
-          numRatings: { $sum: "$ratingsQuantity" },
-          avgRating: { $avg: "$ratingsAverage" },
-          avgPrice: { $avg: "$price" },
-          minPrice: { $min: "$price" },
-          maxPrice: { $max: "$price" },
-        },
-      },
-      {
-        $sort: { avgPrice: 1 },
-      },
-    ]);
+// ?minRating=4.5 only counts tours rated at least that
+export const getTourStats = catchAsync(async (req, res, next) => {
+  const { minRating } = req.query;
 
-    res.status(200).json({
-      status: "success",
-      data: {
-        stats,
+  const stats = await Tour.aggregate([
+    ...(minRating ? [{ $match: { ratingsAverage: { $gte: minRating } } }] : []),
+    {
+      $group: {
+        _id: { $toUpper: "$difficulty" },
+        numTours: { $sum: 1 },
+        numRatings: { $sum: "$ratingsQuantity" },
+        avgRating: { $avg: "$ratingsAverage" },
+        avgPrice: { $avg: "$price" },
+        minPrice: { $min: "$price" },
+        maxPrice: { $max: "$price" },
       },
-    });
-  } catch (err) {
-    console.error(err);
-    res.status(404).json({
-      status: "fail",
-      message: err,
-    });
-  }
-};
+    },
+    {
+      $sort: { avgPrice: 1 },
+    },
+  ]);
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      stats,
+    },
+  });
+});
 
 // AGGREGATION PIPELINE - MONTHLY PLAN
-export const getMonthlyPlan = async (req, res) => {
-  try {
-    const year = req.params.year * 1; // 2021
+// Busiest months first, ?limit= caps the number of months
+export const getMonthlyPlan = catchAsync(async (req, res, next) => {
+  const { year } = req.params;
 
-    const plan = await Tour.aggregate([
-      {
-        $unwind: "$startDates",
-      },
-      {
-        $match: {
-          startDates: {
-            $gte: new Date(`${year}-01-01`),
-            $lte: new Date(`${year}-12-31`),
-          },
+  const plan = await Tour.aggregate([
+    {
+      $unwind: "$startDates",
+    },
+    {
+      $match: {
+        "startDates.date": {
+          $gte: new Date(`${year}-01-01`),
+          $lt: new Date(`${year + 1}-01-01`),
         },
+        "startDates.status": { $ne: "cancelled" },
       },
-      {
-        $group: {
-          _id: { $month: "$startDates" },
-          numTourStarts: { $sum: 1 },
-          tours: { $push: "$name" },
-        },
+    },
+    {
+      $group: {
+        _id: { $month: "$startDates.date" },
+        numTourStarts: { $sum: 1 },
+        tours: { $push: "$name" },
       },
-      {
-        $addFields: { month: "$_id" },
+    },
+    {
+      $addFields: { month: "$_id" },
+    },
+    {
+      $project: {
+        _id: 0,
       },
-      {
-        $project: {
-          _id: 0,
-        },
+    },
+    {
+      $sort: { numTourStarts: -1, month: 1 },
+    },
+    {
+      $limit: req.query.limit || 12,
+    },
+  ]);
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      plan,
+    },
+  });
+});
+
+// GEOSPATIAL QUERIES
+const geoUnits = {
+  mi: { metersPerUnit: 1609.344, multiplier: 1 / 1609.344 },
+  km: { metersPerUnit: 1000, multiplier: 0.001 },
+};
+
+const parseGeoParams = (params) => {
+  const [lat, lng] = (params.latlng || "").split(",").map((el) => el * 1);
+  const unit = geoUnits[params.unit];
+
+  if (
+    !Number.isFinite(lat) ||
+    !Number.isFinite(lng) ||
+    Math.abs(lat) > 90 ||
+    Math.abs(lng) > 180
+  ) {
+    throw new AppError(
+      "Please provide latitude and longitude in the format lat,lng.",
+      400
+    );
+  }
+
+  if (!unit) {
+    throw new AppError("Unit must be either mi or km.", 400);
+  }
+
+  return {
+    near: { type: "Point", coordinates: [lng, lat] },
+    unit,
+  };
+};
+
+// /tours-within/233/center/34.111745,-118.113491/unit/mi
+export const getToursWithin = catchAsync(async (req, res, next) => {
+  const { near, unit } = parseGeoParams(req.params);
+  const distance = req.params.distance * 1;
+
+  if (!Number.isFinite(distance) || distance <= 0) {
+    return next(new AppError("Distance must be a positive number.", 400));
+  }
+
+  const tours = await Tour.aggregate([
+    {
+      $geoNear: {
+        near,
+        key: "startLocation",
+        distanceField: "distance",
+        maxDistance: distance * unit.metersPerUnit,
+        distanceMultiplier: unit.multiplier,
+        spherical: true,
       },
-      {
-        $sort: { numTourStarts: -1 },
+    },
+  ]);
+
+  res.status(200).json({
+    status: "success",
+    results: tours.length,
+    data: {
+      tours,
+    },
+  });
+});
+
+// /distances/34.111745,-118.113491/unit/km
+export const getDistances = catchAsync(async (req, res, next) => {
+  const { near, unit } = parseGeoParams(req.params);
+
+  const distances = await Tour.aggregate([
+    {
+      $geoNear: {
+        near,
+        key: "startLocation",
+        distanceField: "distance",
+        distanceMultiplier: unit.multiplier,
+        spherical: true,
       },
-      {
-        $limit: 5,
+    },
+    {
+      $project: {
+        distance: 1,
+        name: 1,
+        slug: 1,
+        startLocation: 1,
       },
-    ]);
+    },
+  ]);
 
-    res.status(200).json({
-      status: "success",
-      data: {
-        plan,
-      },
-    });
-  } catch (err) {
-    res.status(404).json({
-      status: "fail",
-      message: err,
-    });
-  }
-};
+  res.status(200).json({
+    status: "success",
+    results: distances.length,
+    data: {
+      distances,
+    },
+  });
+});
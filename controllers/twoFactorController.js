@@ -0,0 +1,149 @@
+import User from "../models/userModel.js";
+import { catchAsync } from "../utils/catchAsync.js";
+import AppError from "../utils/appError.js";
+import { ERROR_CODES } from "../utils/errorCodes.js";
+import { generateSecret, otpauthURI, verifyCode } from "../utils/totp.js";
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || "Glide Tours";
+
+// 1) Start enrollment: the secret only becomes active in enableTwoFactor
+export const setupTwoFactor = catchAsync(async (req, res, next) => {
+  if (req.user.twoFactorEnabled) {
+    return next(
+      new AppError("Two-factor authentication is already enabled.", 400)
+    );
+  }
+
+  const secret = generateSecret();
+  await User.updateOne(
+    { _id: req.user._id },
+    { twoFactorPendingSecret: secret }
+  );
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      secret,
+      otpauthURI: otpauthURI(secret, req.user.email, ISSUER),
+    },
+  });
+});
+
+// 2) Confirm with a first code, returns the recovery codes once
+export const enableTwoFactor = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select(
+    "+twoFactorPendingSecret"
+  );
+
+  if (!user.twoFactorPendingSecret) {
+    return next(
+      new AppError("Please start the setup with /2fa/setup first.", 400)
+    );
+  }
+
+  const step = verifyCode(user.twoFactorPendingSecret, req.body.code);
+  if (step === null) {
+    return next(
+      new AppError(
+        "Invalid authentication code.",
+        400,
+        ERROR_CODES.TWO_FACTOR_INVALID_CODE
+      )
+    );
+  }
+
+  const recoveryCodes = user.createRecoveryCodes();
+  user.twoFactorSecret = user.twoFactorPendingSecret;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorLastUsedStep = step;
+  user.twoFactorEnabled = true;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    status: "success",
+    message: "Store these recovery codes safely, they are only shown once.",
+    data: {
+      recoveryCodes,
+    },
+  });
+});
+
+// Needs the password plus a code or recovery code
+export const disableTwoFactor = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select(
+    "+password +twoFactorSecret"
+  );
+
+  if (!user.twoFactorEnabled) {
+    return next(new AppError("Two-factor authentication is not enabled.", 400));
+  }
+
+  if (!(await user.correctPassword(`${req.body.password}`, user.password))) {
+    return next(
+      new AppError(
+        "Your current password is wrong.",
+        401,
+        ERROR_CODES.INVALID_CREDENTIALS
+      )
+    );
+  }
+
+  if (!(await user.verifySecondFactor(req.body))) {
+    return next(
+      new AppError(
+        "Invalid authentication code.",
+        401,
+        ERROR_CODES.TWO_FACTOR_INVALID_CODE
+      )
+    );
+  }
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      twoFactorEnabled: false,
+      $unset: {
+        twoFactorSecret: 1,
+        twoFactorRecoveryCodes: 1,
+        twoFactorLastUsedStep: 1,
+      },
+    }
+  );
+
+  res.status(200).json({
+    status: "success",
+    message: "Two-factor authentication disabled.",
+  });
+});
+
+export const regenerateRecoveryCodes = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select("+twoFactorSecret");
+
+  if (!user.twoFactorEnabled) {
+    return next(new AppError("Two-factor authentication is not enabled.", 400));
+  }
+
+  if (!(await user.verifySecondFactor({ code: req.body.code }))) {
+    return next(
+      new AppError(
+        "Invalid authentication code.",
+        401,
+        ERROR_CODES.TWO_FACTOR_INVALID_CODE
+      )
+    );
+  }
+
+  const recoveryCodes = user.createRecoveryCodes();
+  await User.updateOne(
+    { _id: user._id },
+    { twoFactorRecoveryCodes: user.twoFactorRecoveryCodes }
+  );
+
+  res.status(200).json({
+    status: "success",
+    message: "Store these recovery codes safely, they are only shown once.",
+    data: {
+      recoveryCodes,
+    },
+  });
+});
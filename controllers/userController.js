@@ -1,6 +1,18 @@
 import User from "../models/userModel.js";
+import Tour, { GUIDE_ROLES } from "../models/tourModel.js";
+import Session from "../models/sessionModel.js";
 import { catchAsync } from "../utils/catchAsync.js";
 import AppError from "../utils/appError.js";
+import { ERROR_CODES } from "../utils/errorCodes.js";
+import * as factory from "./handlerFactory.js";
+import { sendVerificationEmail } from "./authController.js";
+import Email from "../utils/email.js";
+import sharp from "sharp";
+import { getStorage } from "../utils/storage/index.js";
+import { uploadSingleImage } from "../middleware/uploadMiddleware.js";
+
+const DEFAULT_PHOTO = "default.jpg";
+const photoKey = (filename) => `img/users/${filename}`;
 
 const filterObj = (obj, ...allowedFields) => {
   const newObj = {};
@@ -10,19 +22,158 @@ const filterObj = (obj, ...allowedFields) => {
   return newObj;
 };
 
-export const getAllUsers = catchAsync(async (req, res, next) => {
-  const users = await User.find();
+export const uploadUserPhoto = uploadSingleImage("photo");
+
+// Square 500x500 JPEG, stored through the storage adapter
+export const resizeUserPhoto = catchAsync(async (req, res, next) => {
+  if (!req.file) return next();
+
+  const filename = `user-${req.user.id}-${Date.now()}.jpeg`;
+
+  let buffer;
+  try {
+    buffer = await sharp(req.file.buffer)
+      .rotate()
+      .resize(500, 500, { fit: "cover" })
+      .toFormat("jpeg")
+      .jpeg({ quality: 90 })
+      .toBuffer();
+  } catch (err) {
+    return next(new AppError("Could not read the uploaded image.", 400));
+  }
+
+  await getStorage().save(photoKey(filename), buffer, {
+    contentType: "image/jpeg",
+  });
+  req.file.filename = filename;
+
+  next();
+});
+
+export const getMe = (req, res, next) => {
+  req.params.id = req.user.id;
+  next();
+};
+
+export const getAllUsers = factory.getAll(User);
+// Deactivated users are hidden by the find middleware, so they are never
+// exported; GET /users/inactive lists them
+export const exportUsers = factory.exportAll(User, {
+  fields: ["_id", "name", "email", "role", "photo", "emailVerified", "active"],
+});
+export const getUser = factory.getOne(User);
+export const deleteUser = factory.deleteOne(User);
+
+// Soft-deleted accounts, hidden from every other query
+export const getInactiveUsers = factory.getAll(User, {
+  filter: () => ({ active: false }),
+});
+
+// Admins can not lock themselves out by changing or deactivating themselves
+export const preventSelfChange = (req, res, next) => {
+  if (req.params.id === req.user.id) {
+    return next(
+      new AppError("You can not change your own role or status.", 400)
+    );
+  }
+  next();
+};
+
+export const changeRole = catchAsync(async (req, res, next) => {
+  const roles = User.schema.path("role").enumValues;
+  if (!roles.includes(req.body.role)) {
+    return next(new AppError(`Role is either: ${roles.join(", ")}`, 400));
+  }
+
+  const user = await User.findByIdAndUpdate(
+    req.params.id,
+    { role: req.body.role },
+    { new: true, runValidators: true }
+  );
+
+  if (!user) {
+    return next(new AppError("No user found with that ID", 404));
+  }
+
   res.status(200).json({
     status: "success",
-    results: users.length,
     data: {
-      users,
+      user,
     },
   });
 });
 
-export const updateMe = catchAsync(async (req, res, next) => {
-  // 1) Create error if user POSTs password data
+export const deactivateUser = catchAsync(async (req, res, next) => {
+  const user = await User.findOneAndUpdate(
+    { _id: req.params.id, active: { $ne: false } },
+    { active: false },
+    { new: true }
+  );
+
+  if (!user) {
+    return next(new AppError("No active user found with that ID", 404));
+  }
+
+  await Session.revokeAll(user._id, "account deactivated by admin");
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      user,
+    },
+  });
+});
+
+export const reactivateUser = catchAsync(async (req, res, next) => {
+  const user = await User.findOneAndUpdate(
+    { _id: req.params.id, active: false },
+    { active: true },
+    { new: true }
+  );
+
+  if (!user) {
+    return next(new AppError("No deactivated user found with that ID", 404));
+  }
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      user,
+    },
+  });
+});
+
+// Upcoming tours of a guide, ?from= and ?to= pick another window
+export const getGuideSchedule = catchAsync(async (req, res, next) => {
+  const guide = await User.findById(req.params.id).select("name role");
+  if (!guide || !GUIDE_ROLES.includes(guide.role)) {
+    return next(new AppError("No guide found with that ID", 404));
+  }
+
+  const schedule = await Tour.guideSchedule(
+    guide._id,
+    req.query.from || new Date(),
+    req.query.to
+  );
+
+  res.status(200).json({
+    status: "success",
+    results: schedule.length,
+    data: {
+      guide,
+      schedule,
+    },
+  });
+});
+
+export const createUser = (req, res, next) => {
+  next(
+    new AppError("This route is not defined! Please use /signup instead", 400)
+  );
+};
+
+// Password changes must go through the save hooks, never through these
+export const blockPasswordUpdates = (req, res, next) => {
   if (req.body.password || req.body.passwordConfirm) {
     return next(
       new AppError(
@@ -31,19 +182,59 @@ export const updateMe = catchAsync(async (req, res, next) => {
       )
     );
   }
+  next();
+};
+
+export const updateUser = factory.updateOne(User);
 
-  // 2) Filtered out unwanted fields names that are not allowed to be updated
+export const updateMe = catchAsync(async (req, res, next) => {
+  // 1) Filtered out unwanted fields names that are not allowed to be updated
   // const filteredBody = filterObj(req.body, "name", "email", "role");
-  const filteredBody = filterObj(req.body, "name", "email");
+  const filteredBody = filterObj(req.body, "name");
+  if (req.file) filteredBody.photo = req.file.filename;
 
-  // 3) Update user document
-  const updatedUser = await User.findByIdAndUpdate(req.user.id, filteredBody, {
-    new: true,
-    runValidators: true,
-  });
+  // 2) A new email is only applied after it has been confirmed
+  const newEmail = req.body.email && `${req.body.email}`.toLowerCase().trim();
+  const changeEmail = newEmail && newEmail !== req.user.email;
+  if (changeEmail) {
+    if (await User.exists({ email: newEmail })) {
+      if (req.file) await getStorage().remove(photoKey(req.file.filename));
+      return next(
+        new AppError(
+          "This email address is already in use.",
+          400,
+          ERROR_CODES.DUPLICATE_VALUE
+        )
+      );
+    }
+    filteredBody.pendingEmail = newEmail;
+  }
+
+  // 3) Update user document, dropping the new photo if that fails
+  let updatedUser;
+  try {
+    updatedUser = await User.findByIdAndUpdate(req.user.id, filteredBody, {
+      new: true,
+      runValidators: true,
+    });
+  } catch (err) {
+    if (req.file) await getStorage().remove(photoKey(req.file.filename));
+    throw err;
+  }
+
+  // 4) The replaced photo is no longer referenced
+  const oldPhoto = req.user.photo;
+  if (req.file && oldPhoto && oldPhoto !== DEFAULT_PHOTO) {
+    await getStorage().remove(photoKey(oldPhoto));
+  }
+
+  if (changeEmail) await sendVerificationEmail(updatedUser, req);
 
   res.status(200).json({
     status: "success",
+    message: changeEmail
+      ? `Please confirm ${newEmail} to finish changing your email.`
+      : undefined,
     data: {
       user: updatedUser,
     },
@@ -52,9 +243,16 @@ export const updateMe = catchAsync(async (req, res, next) => {
 
 export const deleteMe = catchAsync(async (req, res, next) => {
   await User.findByIdAndUpdate(req.user.id, { active: false });
+  await Session.revokeAll(req.user.id, "account deactivated");
+
+  try {
+    await new Email(req.user).sendAccountDeactivated();
+  } catch (err) {
+    console.error("ERROR 💥", err);
+  }
 
   res.status(204).json({
     status: "success",
     data: null,
   });
-});
\ No newline at end of file
+});
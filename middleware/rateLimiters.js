@@ -0,0 +1,55 @@
+import rateLimit from "express-rate-limit";
+import { RedisStore } from "rate-limit-redis";
+import AppError from "../utils/appError.js";
+import { getRedisClient } from "../utils/redisClient.js";
+
+// Memory store by default, Redis when REDIS_URL is set so limits are shared
+// between instances
+const createStore = (prefix) => {
+  const client = getRedisClient();
+  if (!client) return undefined;
+
+  return new RedisStore({
+    prefix: `rl:${prefix}:`,
+    sendCommand: (...args) => client.sendCommand(args),
+  });
+};
+
+const limiter = (prefix, max, windowMs, message) =>
+  rateLimit({
+    max,
+    windowMs,
+    standardHeaders: true,
+    legacyHeaders: false,
+    store: createStore(prefix),
+    handler: (req, res, next) => next(new AppError(message, 429)),
+  });
+
+// Limit requests from same API
+export const apiLimiter = limiter(
+  "api",
+  100,
+  60 * 60 * 1000,
+  "Too many requests from this IP, please try again in an hour!"
+);
+
+export const loginLimiter = limiter(
+  "login",
+  10,
+  15 * 60 * 1000,
+  "Too many login attempts from this IP, please try again in 15 minutes!"
+);
+
+export const forgotPasswordLimiter = limiter(
+  "forgot-password",
+  5,
+  60 * 60 * 1000,
+  "Too many password reset requests from this IP, please try again in an hour!"
+);
+
+export const resetPasswordLimiter = limiter(
+  "reset-password",
+  10,
+  60 * 60 * 1000,
+  "Too many password reset attempts from this IP, please try again in an hour!"
+);
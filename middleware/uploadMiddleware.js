@@ -0,0 +1,67 @@
+import express from "express";
+import multer from "multer";
+import AppError from "../utils/appError.js";
+import { ERROR_CODES } from "../utils/errorCodes.js";
+
+const IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp"];
+
+const MAX_IMAGE_SIZE = (process.env.UPLOAD_MAX_IMAGE_MB || 5) * 1024 * 1024;
+
+// Images are kept in memory, they are resized before anything is stored
+const imageUpload = () =>
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_IMAGE_SIZE },
+    fileFilter: (req, file, cb) => {
+      if (IMAGE_TYPES.includes(file.mimetype)) {
+        cb(null, true);
+      } else {
+        cb(
+          new AppError(
+            "Not an image! Please upload a JPEG, PNG or WEBP.",
+            400,
+            ERROR_CODES.INVALID_UPLOAD
+          ),
+          false
+        );
+      }
+    },
+  });
+
+const handleMulterError = (err) => {
+  if (!(err instanceof multer.MulterError)) return err;
+  if (err.code === "LIMIT_FILE_SIZE") {
+    return new AppError(
+      `Image is too large. The maximum size is ${
+        MAX_IMAGE_SIZE / 1024 / 1024
+      }MB.`,
+      400,
+      ERROR_CODES.INVALID_UPLOAD
+    );
+  }
+  return new AppError(
+    `Invalid upload: ${err.message}`,
+    400,
+    ERROR_CODES.INVALID_UPLOAD
+  );
+};
+
+// upload.single / upload.fields with multer errors turned into AppErrors
+export const uploadSingleImage = (field) => {
+  const upload = imageUpload().single(field);
+  return (req, res, next) =>
+    upload(req, res, (err) => next(err && handleMulterError(err)));
+};
+
+export const uploadImageFields = (fields) => {
+  const upload = imageUpload().fields(fields);
+  return (req, res, next) =>
+    upload(req, res, (err) => next(err && handleMulterError(err)));
+};
+
+// CSV / NDJSON files for the import routes, JSON arrays come through the
+// regular body parser
+export const importFileBody = express.text({
+  type: ["text/csv", "application/x-ndjson"],
+  limit: process.env.IMPORT_MAX_BODY || "2mb",
+});
@@ -0,0 +1,54 @@
+import AppError from "../utils/appError.js";
+import { ERROR_CODES } from "../utils/errorCodes.js";
+import { requestSchemas } from "../utils/requestSchemas.js";
+import { checkFields } from "../utils/validation.js";
+
+const getSchema = (resource, action) => {
+  const schema = requestSchemas[resource] && requestSchemas[resource][action];
+
+  if (!schema) {
+    throw new Error(`No request schema defined for ${resource}.${action}`);
+  }
+
+  return schema;
+};
+
+const validationError = (details, code = ERROR_CODES.VALIDATION_ERROR) =>
+  new AppError(
+    `Invalid input data. ${details.map((el) => el.message).join(" ")}`,
+    400,
+    code,
+    details
+  );
+
+// Checks params, query and body against requestSchemas[resource][action]
+export const validate = (resource, action) => {
+  const schema = getSchema(resource, action);
+
+  return (req, res, next) => {
+    const errors = [];
+
+    if (schema.params) {
+      Object.assign(req.params, checkFields(schema.params, req.params, errors));
+    }
+    if (schema.query) {
+      const query = checkFields(schema.query, req.query, errors);
+      req.query = schema.keepUnknownQuery ? { ...req.query, ...query } : query;
+    }
+    if (schema.body) req.body = checkFields(schema.body, req.body, errors);
+
+    if (errors.length) return next(validationError(errors));
+    next();
+  };
+};
+
+// router.param handler, runs before any middleware of a route with :id
+export const validateObjectId = (req, res, next, value, name) => {
+  const errors = [];
+  checkFields({ [name]: { type: "objectId" } }, { [name]: value }, errors);
+
+  if (errors.length) {
+    return next(validationError(errors, ERROR_CODES.INVALID_ID));
+  }
+  next();
+};
@@ -0,0 +1,74 @@
+// startDates: [Date] -> [{ date, capacity, seatsTaken, priceOverride, status }]
+// Seat counts move from the seatinventories collection into the schedule.
+// Both directions only touch tours that are still in the other format, so
+// running a migration twice is harmless. Going down keeps the dates and the
+// seat counts but drops capacity, price overrides and statuses.
+import mongoose from "mongoose";
+
+export const up = async (db) => {
+  const tours = db.collection("tours");
+  const inventories = db.collection("seatinventories");
+
+  const cursor = tours.find(
+    { startDates: { $type: "date" } },
+    { projection: { maxGroupSize: 1, startDates: 1 } }
+  );
+
+  for await (const tour of cursor) {
+    const taken = new Map();
+    const counters = await inventories.find({ tour: tour._id }).toArray();
+    counters.forEach((el) => taken.set(el.startDate.getTime(), el.seatsTaken));
+
+    const startDates = tour.startDates.map((date) => ({
+      _id: new mongoose.Types.ObjectId(),
+      date,
+      capacity: tour.maxGroupSize,
+      seatsTaken: taken.get(date.getTime()) || 0,
+      status: "open",
+    }));
+
+    await tours.updateOne(
+      { _id: tour._id, startDates: tour.startDates },
+      { $set: { startDates } }
+    );
+  }
+
+  // A tour changed meanwhile keeps its old dates and gets converted on the
+  // next run, its seat counts are still needed until then
+  const left = await tours.countDocuments({ startDates: { $type: "date" } });
+  if (left) {
+    throw new Error(
+      `${left} tour(s) changed while migrating, please run it again`
+    );
+  }
+
+  if (await inventories.countDocuments()) await inventories.drop();
+};
+
+export const down = async (db) => {
+  const tours = db.collection("tours");
+  const inventories = db.collection("seatinventories");
+
+  const cursor = tours.find(
+    { "startDates.date": { $exists: true } },
+    { projection: { startDates: 1 } }
+  );
+
+  for await (const tour of cursor) {
+    const counters = tour.startDates
+      .filter((el) => el.seatsTaken > 0)
+      .map((el) => ({
+        updateOne: {
+          filter: { tour: tour._id, startDate: el.date },
+          update: { $set: { seatsTaken: el.seatsTaken } },
+          upsert: true,
+        },
+      }));
+    if (counters.length) await inventories.bulkWrite(counters);
+
+    await tours.updateOne(
+      { _id: tour._id },
+      { $set: { startDates: tour.startDates.map((el) => el.date) } }
+    );
+  }
+};
@@ -0,0 +1,32 @@
+// Backfills savedCount for tours created before the wishlist existed. A
+// missing field reads as 0 but is not matched by { savedCount: 0 }, so
+// cursor pages sorted by savedCount skipped those tours. The counts are
+// recomputed from savedTours, so running it twice is harmless.
+export const up = async (db) => {
+  const tours = db.collection("tours");
+
+  const counts = await db
+    .collection("savedTours")
+    .aggregate([{ $group: { _id: "$tour", savedCount: { $sum: 1 } } }])
+    .toArray();
+
+  if (counts.length) {
+    await tours.bulkWrite(
+      counts.map((el) => ({
+        updateOne: {
+          filter: { _id: el._id },
+          update: { $set: { savedCount: el.savedCount } },
+        },
+      }))
+    );
+  }
+
+  await tours.updateMany(
+    { savedCount: { $exists: false } },
+    { $set: { savedCount: 0 } }
+  );
+};
+
+export const down = async (db) => {
+  await db.collection("tours").updateMany({}, { $unset: { savedCount: "" } });
+};
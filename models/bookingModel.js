@@ -0,0 +1,179 @@
+import mongoose from "mongoose";
+import Tour from "./tourModel.js";
+import Payment from "./paymentModel.js";
+import AppError from "../utils/appError.js";
+
+const CHECKOUT_HOLD_MS =
+  (process.env.CHECKOUT_HOLD_MINUTES * 1 || 30) * 60 * 1000;
+
+const bookingSchema = new mongoose.Schema(
+  {
+    tour: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Tour",
+      required: [true, "Booking must belong to a tour."],
+    },
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      required: [true, "Booking must belong to a user."],
+    },
+    startDate: {
+      type: Date,
+      required: [true, "Booking must have a start date."],
+    },
+    seats: {
+      type: Number,
+      default: 1,
+      min: [1, "A booking must reserve at least one seat"],
+    },
+    price: {
+      type: Number,
+      required: [true, "Booking must have a price."],
+    },
+    status: {
+      type: String,
+      enum: {
+        values: ["pending", "confirmed", "cancelled"],
+        message: "Status is either: pending, confirmed, cancelled",
+      },
+      default: "confirmed",
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+    cancelledAt: Date,
+    // Pending bookings hold their seats until then, see expirePending
+    expiresAt: Date,
+  },
+  {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+bookingSchema.index({ tour: 1, startDate: 1 });
+bookingSchema.index({ user: 1 });
+bookingSchema.index({ status: 1, expiresAt: 1 });
+
+bookingSchema.pre(/^find/, function (next) {
+  this.populate({
+    path: "user",
+    select: "name email",
+  }).populate({
+    path: "tour",
+    select: "name slug duration",
+  });
+
+  next();
+});
+
+// Reserve seats for a tour start date and record the booking. The seats are
+// handed back if the booking itself can not be saved.
+bookingSchema.statics.reserve = async function ({
+  tour,
+  user,
+  startDate,
+  seats = 1,
+  status = "confirmed",
+}) {
+  if (!Number.isInteger(seats) || seats < 1) {
+    throw new AppError("Seats must be a positive whole number.", 400);
+  }
+
+  const date = new Date(startDate);
+  const scheduled = tour.findStartDate(date);
+  if (!scheduled) {
+    throw new AppError("This tour does not start on the requested date.", 400);
+  }
+  if (date.getTime() <= Date.now()) {
+    throw new AppError("This start date has already passed.", 400);
+  }
+  if (scheduled.status === "cancelled") {
+    throw new AppError("This start date has been cancelled.", 400);
+  }
+  if (scheduled.status === "sold-out") {
+    throw new AppError("This start date is sold out.", 409);
+  }
+
+  // Abandoned checkouts give their seats back before they are counted
+  await this.expirePending({ tour: tour._id, startDate: date });
+  await Tour.reserveSeats(tour._id, scheduled._id, seats);
+
+  try {
+    return await this.create({
+      tour: tour._id,
+      user,
+      startDate: date,
+      seats,
+      price: tour.priceFor(seats, scheduled),
+      status,
+      expiresAt:
+        status === "pending" ? Date.now() + CHECKOUT_HOLD_MS : undefined,
+    });
+  } catch (err) {
+    await Tour.releaseSeats(tour._id, date, seats);
+    throw err;
+  }
+};
+
+// Cancel a booking, release its seats and flag its paid payment for a
+// refund. Only the call that actually flips the status does anything, so
+// repeated calls are harmless. conditions narrow it further, e.g.
+// { status: "pending" }.
+bookingSchema.statics.cancel = async function (id, conditions = {}) {
+  const booking = await this.findOneAndUpdate(
+    { status: { $ne: "cancelled" }, ...conditions, _id: id },
+    { status: "cancelled", cancelledAt: Date.now() },
+    { new: true }
+  );
+
+  // The populated tour is null once the tour is deleted or secret, the id
+  // is still there
+  const tourId = booking && (booking.populated("tour") || booking.tour);
+  if (tourId) {
+    await Tour.releaseSeats(tourId, booking.startDate, booking.seats);
+  }
+
+  if (booking) {
+    const { modifiedCount } = await Payment.updateMany(
+      { booking: booking._id, status: "paid" },
+      { status: "refund-due" }
+    );
+    if (modifiedCount) {
+      console.error(`BOOKING ${booking.id} IS DUE A REFUND 💥`);
+    }
+  }
+
+  return booking;
+};
+
+// Cancel the pending bookings whose checkout hold ran out and fail their
+// payments. Bookings from before expiresAt existed expire by createdAt.
+bookingSchema.statics.expirePending = async function (filter = {}) {
+  const now = Date.now();
+  const expired = await this.find({
+    ...filter,
+    status: "pending",
+    $or: [
+      { expiresAt: { $lte: now } },
+      { expiresAt: null, createdAt: { $lte: now - CHECKOUT_HOLD_MS } },
+    ],
+  }).select("_id");
+
+  for (const { _id } of expired) {
+    if (await this.cancel(_id, { status: "pending" })) {
+      await Payment.updateMany(
+        { booking: _id, status: "pending" },
+        { status: "failed" }
+      );
+    }
+  }
+
+  return expired.length;
+};
+
+const Booking = mongoose.model("Booking", bookingSchema);
+
+export default Booking;
@@ -0,0 +1,61 @@
+import mongoose from "mongoose";
+
+const paymentSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.ObjectId,
+    ref: "Booking",
+    required: [true, "Payment must belong to a booking."],
+  },
+  tour: {
+    type: mongoose.Schema.ObjectId,
+    ref: "Tour",
+    required: [true, "Payment must belong to a tour."],
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: "User",
+    required: [true, "Payment must belong to a user."],
+  },
+  // Amount in the smallest currency unit (e.g. cents)
+  amount: {
+    type: Number,
+    required: [true, "Payment must have an amount."],
+  },
+  currency: {
+    type: String,
+    default: "usd",
+  },
+  provider: {
+    type: String,
+    required: [true, "Payment must have a provider."],
+  },
+  sessionId: String,
+  status: {
+    type: String,
+    enum: {
+      // refund-due: the booking was cancelled, before or after the payment
+      values: ["pending", "paid", "failed", "refund-due"],
+      message: "Status is either: pending, paid, failed, refund-due",
+    },
+    default: "pending",
+  },
+  // Ids of webhook events already applied, so redeliveries are no-ops
+  processedEvents: {
+    type: [String],
+    select: false,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  paidAt: Date,
+});
+
+paymentSchema.index(
+  { provider: 1, sessionId: 1 },
+  { unique: true, sparse: true }
+);
+
+const Payment = mongoose.model("Payment", paymentSchema);
+
+export default Payment;
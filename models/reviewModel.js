@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import Tour from "./tourModel.js";
 
 const reviewSchema = new mongoose.Schema(
   {
@@ -32,6 +33,9 @@ const reviewSchema = new mongoose.Schema(
   }
 );
 
+// Each user can review a tour only once
+reviewSchema.index({ tour: 1, user: 1 }, { unique: true });
+
 reviewSchema.pre(/^find/, function (next) {
   this.populate({
     path: "user",
@@ -41,6 +45,41 @@ reviewSchema.pre(/^find/, function (next) {
   next();
 });
 
+reviewSchema.statics.calcAverageRatings = async function (tourId) {
+  const stats = await this.aggregate([
+    {
+      $match: { tour: tourId, rating: { $ne: null } },
+    },
+    {
+      $group: {
+        _id: "$tour",
+        nRating: { $sum: 1 },
+        avgRating: { $avg: "$rating" },
+      },
+    },
+  ]);
+
+  // updateOne skips the tour find hooks, so secret tours are updated too
+  await Tour.updateOne(
+    { _id: tourId },
+    stats.length > 0
+      ? {
+          ratingsQuantity: stats[0].nRating,
+          ratingsAverage: Math.round(stats[0].avgRating * 10) / 10,
+        }
+      : { ratingsQuantity: 0, ratingsAverage: 4.5 }
+  );
+};
+
+reviewSchema.post("save", async function () {
+  await this.constructor.calcAverageRatings(this.tour);
+});
+
+// findByIdAndUpdate / findByIdAndDelete
+reviewSchema.post(/^findOneAnd/, async function (doc) {
+  if (doc) await doc.constructor.calcAverageRatings(doc.tour);
+});
+
 const Review = mongoose.model("Review", reviewSchema);
 
 export default Review;
@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+import Tour from "./tourModel.js";
+
+// A tour on a user's wishlist
+const savedTourSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      required: [true, "A saved tour must belong to a user."],
+    },
+    tour: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Tour",
+      required: [true, "A saved tour must refer to a tour."],
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// A tour is saved at most once per user
+savedTourSchema.index({ user: 1, tour: 1 }, { unique: true });
+savedTourSchema.index({ tour: 1 });
+
+savedTourSchema.pre(/^find/, function (next) {
+  this.populate({
+    path: "tour",
+    select:
+      "name slug summary duration difficulty price priceDiscount ratingsAverage ratingsQuantity imageCover",
+  });
+
+  next();
+});
+
+savedTourSchema.statics.calcSavedCount = async function (tourId) {
+  const savedCount = await this.countDocuments({ tour: tourId });
+  await Tour.updateOne({ _id: tourId }, { savedCount });
+};
+
+savedTourSchema.post("save", async function () {
+  await this.constructor.calcSavedCount(this.tour);
+});
+
+// The tour is populated here, populated() gives back its id
+savedTourSchema.post("findOneAndDelete", async function (doc) {
+  if (doc) {
+    await doc.constructor.calcSavedCount(doc.populated("tour") || doc.tour);
+  }
+});
+
+const SavedTour = mongoose.model("SavedTour", savedTourSchema, "savedTours");
+
+export default SavedTour;
@@ -0,0 +1,156 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// One session per login. The refresh token is only stored hashed and is
+// rotated on every use: "<sessionId>.<secret>".
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: "User",
+    required: [true, "Session must belong to a user."],
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  // Hashes of the tokens rotated away, presenting one of them again is reuse
+  previousTokenHashes: {
+    type: [String],
+    select: false,
+  },
+  userAgent: String,
+  ip: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lastUsedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  // expiresAt slides on every refresh but never past this
+  absoluteExpiresAt: Date,
+  revokedAt: Date,
+  revokedReason: String,
+});
+
+sessionSchema.index({ user: 1 });
+// Let MongoDB drop sessions once they can no longer be refreshed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const REFRESH_LIFETIME_MS =
+  (process.env.JWT_REFRESH_EXPIRES_IN || 30) * 24 * 60 * 60 * 1000;
+const MAX_LIFETIME_MS =
+  (process.env.SESSION_MAX_LIFETIME_DAYS || 90) * 24 * 60 * 60 * 1000;
+
+// Enough for months of refreshes, older tokens just stop working
+const MAX_PREVIOUS_TOKENS = 500;
+
+const newSecret = () => crypto.randomBytes(32).toString("hex");
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt.getTime() > Date.now();
+};
+
+sessionSchema.methods.revoke = async function (reason) {
+  this.revokedAt = Date.now();
+  this.revokedReason = reason;
+  await this.save({ validateBeforeSave: false });
+};
+
+sessionSchema.statics.start = async function (userId, req) {
+  const secret = newSecret();
+  const absoluteExpiresAt = Date.now() + MAX_LIFETIME_MS;
+  const session = await this.create({
+    user: userId,
+    refreshTokenHash: hashToken(secret),
+    userAgent: req.get("user-agent"),
+    ip: req.ip,
+    lastUsedAt: Date.now(),
+    expiresAt: Math.min(Date.now() + REFRESH_LIFETIME_MS, absoluteExpiresAt),
+    absoluteExpiresAt,
+  });
+
+  return { session, refreshToken: `${session._id}.${secret}` };
+};
+
+// Swap a refresh token for a new one. Returns {} for unknown, expired or
+// revoked tokens. A token this session issued before and already rotated
+// away is treated as stolen and the session is revoked. Any other wrong
+// secret is just unknown, so a guessed session id can't log anyone out.
+sessionSchema.statics.rotate = async function (refreshToken) {
+  const [id, secret] = `${refreshToken}`.split(".");
+  if (!secret || !mongoose.isValidObjectId(id)) return {};
+
+  const hash = hashToken(secret);
+  const secretNext = newSecret();
+  const now = Date.now();
+  const session = await this.findOneAndUpdate(
+    {
+      _id: id,
+      refreshTokenHash: hash,
+      revokedAt: null,
+      expiresAt: { $gt: new Date(now) },
+    },
+    [
+      {
+        $set: {
+          refreshTokenHash: hashToken(secretNext),
+          previousTokenHashes: {
+            $slice: [
+              {
+                $concatArrays: [
+                  { $ifNull: ["$previousTokenHashes", []] },
+                  [hash],
+                ],
+              },
+              -MAX_PREVIOUS_TOKENS,
+            ],
+          },
+          lastUsedAt: new Date(now),
+          // $min skips a missing absoluteExpiresAt of older sessions
+          expiresAt: {
+            $min: [new Date(now + REFRESH_LIFETIME_MS), "$absoluteExpiresAt"],
+          },
+        },
+      },
+    ],
+    { new: true }
+  );
+
+  if (session) {
+    return { session, refreshToken: `${id}.${secretNext}` };
+  }
+
+  const existing = await this.findOne({ _id: id, previousTokenHashes: hash });
+  if (existing && existing.isActive()) {
+    await existing.revoke("refresh token reuse");
+    return { session: existing, reused: true };
+  }
+
+  return {};
+};
+
+// Look a session up from a refresh token without rotating it
+sessionSchema.statics.findByRefreshToken = async function (refreshToken) {
+  const [id, secret] = `${refreshToken}`.split(".");
+  if (!secret || !mongoose.isValidObjectId(id)) return null;
+
+  return this.findOne({ _id: id, refreshTokenHash: hashToken(secret) });
+};
+
+sessionSchema.statics.revokeAll = async function (userId, reason) {
+  await this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: Date.now(), revokedReason: reason }
+  );
+};
+
+const Session = mongoose.model("Session", sessionSchema);
+
+export default Session;
@@ -1,5 +1,93 @@
 import mongoose from "mongoose";
 import slugify from "slugify";
+import { removeTourImage, tourImageVariants } from "../utils/tourImages.js";
+import AppError from "../utils/appError.js";
+
+export const START_DATE_STATUSES = ["open", "sold-out", "cancelled"];
+export const GUIDE_ROLES = ["guide", "lead-guide"];
+
+// Public fields of a guide, the population never exposes email or role
+const GUIDE_PUBLIC_FIELDS = "name photo";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// [start, end) of every departure that still takes place
+export const dateRanges = (startDates, duration) =>
+  (startDates || [])
+    .filter((el) => el.status !== "cancelled")
+    .map((el) => ({
+      startDate: el._id,
+      status: el.status,
+      start: el.date,
+      end: new Date(el.date.getTime() + duration * DAY),
+    }));
+
+// One scheduled departure. capacity defaults to the tour's maxGroupSize and
+// seatsTaken is only ever changed through reserveSeats / releaseSeats.
+const startDateSchema = new mongoose.Schema(
+  {
+    date: {
+      type: Date,
+      required: [true, "A start date must have a date"],
+    },
+    capacity: {
+      type: Number,
+      min: [1, "Capacity must be at least 1"],
+      validate: {
+        validator: Number.isInteger,
+        message: "Capacity must be a whole number",
+      },
+    },
+    seatsTaken: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Per seat price for this date, replaces the (discounted) tour price
+    priceOverride: {
+      type: Number,
+      min: [0, "Price override can not be negative"],
+    },
+    status: {
+      type: String,
+      enum: {
+        values: START_DATE_STATUSES,
+        message: `Status is either: ${START_DATE_STATUSES.join(", ")}`,
+      },
+      default: "open",
+    },
+  },
+  {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+startDateSchema.virtual("seatsLeft").get(function () {
+  return Math.max((this.capacity || 0) - this.seatsTaken, 0);
+});
+
+// GeoJSON point. Only stored with its coordinates, the 2dsphere index
+// rejects a point without them.
+const startLocationSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      default: "Point",
+      enum: ["Point"],
+    },
+    coordinates: {
+      type: [Number],
+      validate: {
+        validator: (el) => el.length === 2,
+        message: "A start location must have a longitude and a latitude",
+      },
+    },
+    address: String,
+    description: String,
+  },
+  { _id: false }
+);
 
 const tourSchema = new mongoose.Schema(
   {
@@ -38,6 +126,11 @@ const tourSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // Kept up to date by the SavedTour model
+    savedCount: {
+      type: Number,
+      default: 0,
+    },
     price: {
       type: Number,
       required: [true, "A tour must have a price"],
@@ -73,22 +166,15 @@ const tourSchema = new mongoose.Schema(
       default: Date.now(),
       select: false,
     },
-    startDates: [Date],
+    startDates: [startDateSchema],
     secretTour: {
       type: Boolean,
       default: false,
     },
 
     startLocation: {
-      // GeoJSON
-      type: {
-        type: String,
-        default: "Point",
-        enum: ["Point"],
-      },
-      coordinates: [Number],
-      address: String,
-      description: String,
+      type: startLocationSchema,
+      default: undefined,
     },
     locations: [
       {
@@ -116,10 +202,170 @@ const tourSchema = new mongoose.Schema(
   }
 );
 
+tourSchema.index({ startLocation: "2dsphere" });
+tourSchema.index({ slug: 1 });
+tourSchema.index(
+  {
+    name: "text",
+    summary: "text",
+    description: "text",
+    "startLocation.address": "text",
+    "locations.address": "text",
+  },
+  {
+    name: "TourTextIndex",
+    weights: {
+      name: 10,
+      summary: 5,
+      "startLocation.address": 3,
+      "locations.address": 3,
+      description: 1,
+    },
+  }
+);
+
 tourSchema.virtual("durationWeeks").get(function () {
   return this.duration / 7;
 });
 
+// File names of the thumbnail, card and full size of every image
+tourSchema.virtual("imageSizes").get(function () {
+  if (!this.imageCover && !this.images) return undefined;
+  return {
+    imageCover: this.imageCover && tourImageVariants(this.imageCover),
+    images: (this.images || []).map((el) => tourImageVariants(el)),
+  };
+});
+
+// Price for the seats after the discount, or at the start date's override
+tourSchema.methods.priceFor = function (seats = 1, startDate) {
+  if (startDate && startDate.priceOverride !== undefined) {
+    return startDate.priceOverride * seats;
+  }
+  return (this.price - (this.priceDiscount || 0)) * seats;
+};
+
+tourSchema.methods.findStartDate = function (date) {
+  const time = new Date(date).getTime();
+  return this.startDates.find((el) => el.date.getTime() === time);
+};
+
+// Take seats on one start date. The capacity check and the increment happen
+// in a single update so concurrent bookings can never overbook a date.
+tourSchema.statics.reserveSeats = async function (tourId, startDateId, seats) {
+  const id = new mongoose.Types.ObjectId(startDateId);
+  const { modifiedCount } = await this.updateOne(
+    {
+      _id: tourId,
+      $expr: {
+        $anyElementTrue: {
+          $map: {
+            input: "$startDates",
+            as: "d",
+            in: {
+              $and: [
+                { $eq: ["$$d._id", id] },
+                { $eq: ["$$d.status", "open"] },
+                { $lte: [{ $add: ["$$d.seatsTaken", seats] }, "$$d.capacity"] },
+              ],
+            },
+          },
+        },
+      },
+    },
+    { $inc: { "startDates.$[d].seatsTaken": seats } },
+    { arrayFilters: [{ "d._id": id }] }
+  );
+
+  if (!modifiedCount) {
+    throw new AppError("Not enough seats left for this start date.", 409);
+  }
+};
+
+tourSchema.statics.releaseSeats = async function (tourId, date, seats) {
+  await this.updateOne(
+    { _id: tourId },
+    { $inc: { "startDates.$[d].seatsTaken": -seats } },
+    {
+      arrayFilters: [
+        { "d.date": new Date(date), "d.seatsTaken": { $gte: seats } },
+      ],
+    }
+  );
+};
+
+tourSchema.methods.dateRanges = function () {
+  return dateRanges(this.startDates, this.duration);
+};
+
+// Departures of other tours the guides already lead that overlap one of the
+// ranges. Secret tours count too, so the collection is queried directly.
+tourSchema.statics.findGuideConflicts = async function (
+  guideIds,
+  ranges,
+  excludeTourId
+) {
+  const upcoming = ranges.filter((el) => el.end > Date.now());
+  if (!upcoming.length || !guideIds.length) return [];
+
+  const tours = await this.collection
+    .find(
+      { _id: { $ne: excludeTourId }, guides: { $in: guideIds } },
+      { projection: { name: 1, duration: 1, startDates: 1, guides: 1 } }
+    )
+    .toArray();
+
+  const overlaps = (other) =>
+    upcoming.some((el) => el.start < other.end && other.start < el.end);
+
+  const conflicts = [];
+  tours.forEach((tour) => {
+    const busy = tour.guides.filter((guide) =>
+      guideIds.some((id) => `${id}` === `${guide}`)
+    );
+    dateRanges(tour.startDates, tour.duration)
+      .filter(overlaps)
+      .forEach(({ start, end }) =>
+        busy.forEach((guide) =>
+          conflicts.push({
+            guide,
+            tour: { _id: tour._id, name: tour.name },
+            start,
+            end,
+          })
+        )
+      );
+  });
+
+  return conflicts;
+};
+
+// Every departure of the tours a guide leads that overlaps [from, to)
+tourSchema.statics.guideSchedule = async function (guideId, from, to) {
+  const tours = await this.collection
+    .find(
+      { guides: guideId },
+      { projection: { name: 1, slug: 1, duration: 1, startDates: 1 } }
+    )
+    .toArray();
+
+  return tours
+    .flatMap((tour) =>
+      dateRanges(tour.startDates, tour.duration).map((range) => ({
+        tour: { _id: tour._id, name: tour.name, slug: tour.slug },
+        ...range,
+      }))
+    )
+    .filter((el) => el.end > from && (!to || el.start < to))
+    .sort((a, b) => a.start - b.start);
+};
+
+// Ids of the secret tours. The collection is queried directly because the
+// query middleware below hides exactly these tours.
+tourSchema.statics.secretTourIds = function () {
+  return this.collection.distinct("_id", { secretTour: true });
+};
+
 // Virtual populate
 tourSchema.virtual("reviews", {
   ref: "Review",
@@ -132,6 +378,20 @@ tourSchema.pre("save", function (next) {
   next();
 });
 
+// Start dates take the group size as capacity and must not repeat
+tourSchema.pre("validate", function (next) {
+  const seen = new Set();
+  for (const el of this.startDates || []) {
+    if (el.capacity === undefined) el.capacity = this.maxGroupSize;
+    const time = el.date && el.date.getTime();
+    if (seen.has(time)) {
+      this.invalidate("startDates", "A tour can not start twice on one date");
+    }
+    seen.add(time);
+  }
+  next();
+});
+
 // DOCUMENT MIDDLEWARE
 tourSchema.pre("save", function (next) {
   console.log("Will save document...");
@@ -155,10 +415,15 @@ tourSchema.pre(/^find/, function (next) {
   next();
 });
 
+tourSchema.pre("countDocuments", function (next) {
+  this.where({ secretTour: { $ne: true } });
+  next();
+});
+
 tourSchema.pre(/^find/, function (next) {
   this.populate({
     path: "guides",
-    select: "-__v -passwordChangedAt",
+    select: GUIDE_PUBLIC_FIELDS,
   });
 
   next();
@@ -169,9 +434,21 @@ tourSchema.post(/^find/, function (docs, next) {
   next();
 });
 
+// Deleting a tour also deletes its image files and takes it off every
+// wishlist. SavedTour is looked up by name, its module imports this one.
+tourSchema.post("findOneAndDelete", async function (doc) {
+  if (!doc) return;
+  const files = [doc.imageCover, ...(doc.images || [])].filter(Boolean);
+  await Promise.all(files.map((el) => removeTourImage(el)));
+  await mongoose.model("SavedTour").deleteMany({ tour: doc._id });
+});
+
 // AGGREGATION MIDDLEWARE
 tourSchema.pre("aggregate", function (next) {
-  this.pipeline().unshift({ $match: { secretTour: { $ne: true } } });
+  // $geoNear has to stay the first stage of the pipeline
+  const pipeline = this.pipeline();
+  const index = pipeline.length && pipeline[0].$geoNear ? 1 : 0;
+  pipeline.splice(index, 0, { $match: { secretTour: { $ne: true } } });
   console.log(this.pipeline());
   next();
 });
@@ -2,6 +2,13 @@ import mongoose from "mongoose";
 import validator from "validator";
 import bcrypt from "bcryptjs";
 import crypto from "crypto";
+import { verifyCode } from "../utils/totp.js";
+
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(`${code}`.replace(/[\s-]/g, "").toLowerCase())
+    .digest("hex");
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -15,7 +22,10 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     validate: [validator.isEmail, "Please provide a valid email"],
   },
-  photo: String,
+  photo: {
+    type: String,
+    default: "default.jpg",
+  },
   role: {
     type: String,
     enum: ["user", "guide", "lead-guide", "admin"],
@@ -37,9 +47,47 @@ const userSchema = new mongoose.Schema({
       message: "Password and Confirm Password do not match.",
     },
   },
+  // Accounts created before email verification existed have no flag and
+  // are treated as verified; signup sets it to false.
+  emailVerified: Boolean,
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    validate: [validator.isEmail, "Please provide a valid email"],
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false,
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false,
+  },
   passwordChangedAt: Date,
   passwordResetToken: String,
   passwordResetExpires: Date,
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false,
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false,
+  },
+  // Secret shown during enrollment, until the first code confirms it
+  twoFactorPendingSecret: {
+    type: String,
+    select: false,
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false,
+  },
+  // Last accepted TOTP time step, so a code can't be replayed
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false,
+  },
   active: {
     type: Boolean,
     default: true,
@@ -60,8 +108,19 @@ userSchema.pre("save", function (next) {
   next();
 });
 
+// Deactivated accounts are hidden unless the query asks for them by
+// filtering on "active" itself (admin user management)
 userSchema.pre(/^find/, function (next) {
-  this.find({ active: { $ne: false } });
+  if (this.getFilter().active === undefined) {
+    this.find({ active: { $ne: false } });
+  }
+  next();
+});
+
+userSchema.pre("countDocuments", function (next) {
+  if (this.getFilter().active === undefined) {
+    this.where({ active: { $ne: false } });
+  }
   next();
 });
 
@@ -94,6 +153,63 @@ userSchema.methods.createPasswordResetToken = function () {
   return resetToken;
 };
 
+userSchema.methods.createEmailVerificationToken = function () {
+  const verificationToken = crypto.randomBytes(32).toString("hex");
+  this.emailVerificationToken = crypto
+    .createHash("sha256")
+    .update(verificationToken)
+    .digest("hex");
+
+  this.emailVerificationExpires = Date.now() + 24 * 60 * 60 * 1000;
+  return verificationToken;
+};
+
+// Returns the plain codes, only their hashes are stored
+userSchema.methods.createRecoveryCodes = function () {
+  const codes = Array.from({ length: 10 }, () => {
+    const code = crypto.randomBytes(5).toString("hex");
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+
+  this.twoFactorRecoveryCodes = codes.map(hashRecoveryCode);
+  return codes;
+};
+
+// Checks a TOTP code, or else burns a recovery code. Both are single use.
+// Needs +twoFactorSecret selected.
+userSchema.methods.verifySecondFactor = async function ({
+  code,
+  recoveryCode,
+}) {
+  if (code) {
+    const step = verifyCode(this.twoFactorSecret, code);
+    if (step === null) return false;
+
+    const result = await this.constructor.updateOne(
+      {
+        _id: this._id,
+        $or: [
+          { twoFactorLastUsedStep: { $lt: step } },
+          { twoFactorLastUsedStep: null },
+        ],
+      },
+      { twoFactorLastUsedStep: step }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const result = await this.constructor.updateOne(
+      { _id: this._id, twoFactorRecoveryCodes: hash },
+      { $pull: { twoFactorRecoveryCodes: hash } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  return false;
+};
+
 const User = mongoose.model("User", userSchema);
 
 export default User;
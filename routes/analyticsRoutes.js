@@ -0,0 +1,45 @@
+import express from "express";
+import * as analyticsController from "../controllers/analyticsController.js";
+import * as authController from "../controllers/authController.js";
+import { validate } from "../middleware/validate.js";
+
+const router = express.Router();
+
+router.get(
+  "/revenue",
+  authController.authorize("analytics", "read"),
+  validate("analytics", "timeline"),
+  analyticsController.getRevenue
+);
+router.get(
+  "/booking-funnel",
+  authController.authorize("analytics", "read"),
+  validate("analytics", "range"),
+  analyticsController.getBookingFunnel
+);
+router.get(
+  "/ratings",
+  authController.authorize("analytics", "read"),
+  validate("analytics", "ratings"),
+  analyticsController.getRatingHistogram
+);
+router.get(
+  "/top-tours",
+  authController.authorize("analytics", "read"),
+  validate("analytics", "topTours"),
+  analyticsController.getTopTours
+);
+router.get(
+  "/signups",
+  authController.authorize("analytics", "read"),
+  validate("analytics", "timeline"),
+  analyticsController.getSignups
+);
+router.get(
+  "/tour-breakdown",
+  authController.authorize("analytics", "read"),
+  validate("analytics", "tourBreakdown"),
+  analyticsController.getTourBreakdown
+);
+
+export default router;
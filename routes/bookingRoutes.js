@@ -0,0 +1,41 @@
+import express from "express";
+import * as bookingController from "../controllers/bookingController.js";
+import * as authController from "../controllers/authController.js";
+import { validate, validateObjectId } from "../middleware/validate.js";
+
+const router = express.Router({ mergeParams: true });
+
+router.param("id", validateObjectId);
+
+router.get(
+  "/my-bookings",
+  authController.authorize("booking", "listOwn"),
+  bookingController.getMyBookings
+);
+
+router
+  .route("/")
+  .get(
+    authController.authorize("booking", "list"),
+    bookingController.getAllBookings
+  )
+  .post(
+    authController.authorize("booking", "create"),
+    authController.requireVerifiedEmail,
+    validate("booking", "create"),
+    bookingController.createBooking
+  );
+
+router
+  .route("/:id")
+  .get(
+    authController.authorize("booking", "read"),
+    bookingController.getBooking
+  );
+router.patch(
+  "/:id/cancel",
+  authController.authorize("booking", "cancel"),
+  bookingController.cancelBooking
+);
+
+export default router;
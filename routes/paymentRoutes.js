@@ -0,0 +1,24 @@
+import express from "express";
+import * as paymentController from "../controllers/paymentController.js";
+import * as authController from "../controllers/authController.js";
+import { validate } from "../middleware/validate.js";
+
+const router = express.Router();
+
+router.post(
+  "/checkout-session/:tourId",
+  authController.authorize("payment", "checkout"),
+  authController.requireVerifiedEmail,
+  validate("payment", "checkout"),
+  paymentController.getCheckoutSession
+);
+
+router.post(
+  "/mock-checkout/:sessionId",
+  paymentController.requireMockCheckout,
+  authController.authorize("payment", "mockCheckout"),
+  validate("payment", "mockCheckout"),
+  paymentController.mockCheckout
+);
+
+export default router;
@@ -1,16 +1,44 @@
 import express from "express";
 import * as reviewController from "../controllers/reviewController.js";
 import * as authController from "../controllers/authController.js";
+import { validate, validateObjectId } from "../middleware/validate.js";
 
-const router = express.Router();
+const router = express.Router({ mergeParams: true });
+
+router.param("id", validateObjectId);
 
 router
   .route("/")
-  .get(reviewController.getAllReviews)
+  .get(
+    authController.authorize("review", "list"),
+    reviewController.getAllReviews
+  )
   .post(
-    authController.protect,
-    authController.restrictTo("user"),
+    authController.authorize("review", "create"),
+    authController.requireVerifiedEmail,
+    validate("review", "create"),
+    reviewController.setTourUserIds,
     reviewController.createReview
   );
 
+router.get(
+  "/export",
+  authController.authorize("review", "export"),
+  validate("review", "export"),
+  reviewController.exportReviews
+);
+
+router
+  .route("/:id")
+  .get(authController.authorize("review", "read"), reviewController.getReview)
+  .patch(
+    authController.authorize("review", "update"),
+    validate("review", "update"),
+    reviewController.updateReview
+  )
+  .delete(
+    authController.authorize("review", "delete"),
+    reviewController.deleteReview
+  );
+
 export default router;
@@ -1,39 +1,169 @@
 import express from "express";
 import * as tourController from "../controllers/tourController.js";
 import * as authController from "../controllers/authController.js";
-import * as reviewController from "../controllers/reviewController.js";
+import { validate, validateObjectId } from "../middleware/validate.js";
+import { importFileBody } from "../middleware/uploadMiddleware.js";
+import reviewRouter from "./reviewRoutes.js";
+import bookingRouter from "./bookingRoutes.js";
 
 const router = express.Router();
 
+router.param("id", validateObjectId);
+router.param("tourId", validateObjectId);
+router.param("dateId", validateObjectId);
+router.param("guideId", validateObjectId);
+
+router.use("/:tourId/reviews", reviewRouter);
+router.use("/:tourId/bookings", bookingRouter);
+
 router
   .route("/top-5-cheap")
-  .get(tourController.aliasTopTours, tourController.getAllTours);
+  .get(
+    authController.authorize("tour", "list"),
+    tourController.aliasTopTours,
+    tourController.getAllTours
+  );
 
 // AGGREGATION PIPELINE
-router.route("/tour-stats").get(tourController.getTourStats);
-router.route("/monthly-plan/:year").get(tourController.getMonthlyPlan);
+router
+  .route("/tour-stats")
+  .get(
+    authController.authorize("tour", "stats"),
+    validate("tour", "stats"),
+    tourController.getTourStats
+  );
+router
+  .route("/monthly-plan/:year")
+  .get(
+    authController.authorize("tour", "stats"),
+    validate("tour", "monthlyPlan"),
+    tourController.getMonthlyPlan
+  );
+
+// SEARCH
+router.get(
+  "/search",
+  authController.authorize("tour", "list"),
+  validate("tour", "search"),
+  tourController.searchTours
+);
+router.get(
+  "/autocomplete",
+  authController.authorize("tour", "list"),
+  validate("tour", "autocomplete"),
+  tourController.autocompleteTours
+);
+
+// EXPORT / IMPORT
+router.get(
+  "/export",
+  authController.authorize("tour", "export"),
+  validate("tour", "export"),
+  tourController.exportTours
+);
+router.post(
+  "/import",
+  authController.authorize("tour", "import"),
+  importFileBody,
+  validate("tour", "import"),
+  tourController.importTours
+);
+
+// GEOSPATIAL QUERIES
+router
+  .route("/tours-within/:distance/center/:latlng/unit/:unit")
+  .get(
+    authController.authorize("tour", "list"),
+    validate("tour", "toursWithin"),
+    tourController.getToursWithin
+  );
+router
+  .route("/distances/:latlng/unit/:unit")
+  .get(
+    authController.authorize("tour", "list"),
+    validate("tour", "distances"),
+    tourController.getDistances
+  );
 
 router
   .route("/")
-  .get(authController.protect, tourController.getAllTours)
-  .post(tourController.createTour);
+  .get(authController.authorize("tour", "list"), tourController.getAllTours)
+  .post(
+    authController.authorize("tour", "create"),
+    validate("tour", "create"),
+    tourController.createTour
+  );
 
 router
   .route("/:id")
-  .get(tourController.getTour)
-  .patch(tourController.updateTour)
+  .get(authController.authorize("tour", "read"), tourController.getTour)
+  .patch(
+    authController.authorize("tour", "update"),
+    validate("tour", "update"),
+    tourController.checkGuidesForDuration,
+    tourController.updateTour
+  )
   .delete(
-    authController.protect,
-    authController.restrictTo("admin", "lead-guide"),
+    authController.authorize("tour", "delete"),
     tourController.deleteTour
   );
 
 router
-  .route("/:tourId/reviews")
+  .route("/:id/images")
+  .post(
+    authController.authorize("tour", "update"),
+    tourController.uploadTourImages,
+    tourController.addTourImages
+  )
+  .patch(
+    authController.authorize("tour", "update"),
+    validate("tour", "updateImages"),
+    tourController.updateTourImages
+  );
+
+router.delete(
+  "/:id/images/:filename",
+  authController.authorize("tour", "update"),
+  tourController.deleteTourImage
+);
+
+// START DATE SCHEDULE
+router
+  .route("/:id/dates")
+  .get(authController.authorize("tour", "read"), tourController.getTourDates)
+  .post(
+    authController.authorize("tour", "update"),
+    validate("tour", "addDate"),
+    tourController.addTourDate
+  );
+router
+  .route("/:id/dates/:dateId")
+  .patch(
+    authController.authorize("tour", "update"),
+    validate("tour", "updateDate"),
+    tourController.updateTourDate
+  )
+  .delete(
+    authController.authorize("tour", "update"),
+    tourController.deleteTourDate
+  );
+
+// GUIDES
+router
+  .route("/:id/guides")
+  .get(
+    authController.authorize("tour", "manageGuides"),
+    tourController.getTourGuides
+  )
   .post(
-    authController.protect,
-    authController.restrictTo("user"),
-    reviewController.createReview
+    authController.authorize("tour", "manageGuides"),
+    validate("tour", "assignGuide"),
+    tourController.assignGuide
   );
+router.delete(
+  "/:id/guides/:guideId",
+  authController.authorize("tour", "manageGuides"),
+  tourController.unassignGuide
+);
 
 export default router;
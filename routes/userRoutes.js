@@ -1,24 +1,209 @@
 import express from "express";
 import * as authController from "../controllers/authController.js";
 import * as userController from "../controllers/userController.js";
+import * as twoFactorController from "../controllers/twoFactorController.js";
+import * as savedTourController from "../controllers/savedTourController.js";
+import * as rateLimiters from "../middleware/rateLimiters.js";
+import { validate, validateObjectId } from "../middleware/validate.js";
 
 const router = express.Router();
 
-router.route("/signup").post(authController.signup);
-router.route("/login").post(authController.login);
+router.param("id", validateObjectId);
+router.param("tourId", validateObjectId);
 
-router.route("/").get(userController.getAllUsers);
+router
+  .route("/signup")
+  .post(
+    authController.authorize("account", "signup"),
+    validate("account", "signup"),
+    authController.signup
+  );
+router
+  .route("/login")
+  .post(
+    rateLimiters.loginLimiter,
+    authController.authorize("account", "login"),
+    validate("account", "login"),
+    authController.login
+  );
+router.post(
+  "/login/2fa",
+  rateLimiters.loginLimiter,
+  authController.authorize("account", "loginTwoFactor"),
+  validate("account", "loginTwoFactor"),
+  authController.loginTwoFactor
+);
+router.post(
+  "/refresh",
+  authController.authorize("account", "refresh"),
+  validate("account", "refresh"),
+  authController.refresh
+);
+router.post(
+  "/logout",
+  authController.authorize("account", "logout"),
+  authController.logout
+);
+router.post(
+  "/logoutAll",
+  authController.authorize("account", "logoutAll"),
+  authController.logoutAll
+);
+
+router
+  .route("/")
+  .get(authController.authorize("user", "list"), userController.getAllUsers)
+  .post(authController.authorize("user", "create"), userController.createUser);
 
-router.post("/forgotPassword", authController.forgotPassword);
-router.patch("/resetPassword/:token", authController.resetPassword);
+router.get(
+  "/verifyEmail/:token",
+  authController.authorize("account", "verifyEmail"),
+  validate("account", "verifyEmail"),
+  authController.verifyEmail
+);
+router.post(
+  "/resendVerification",
+  authController.authorize("account", "resendVerification"),
+  authController.resendVerification
+);
+
+router.post(
+  "/forgotPassword",
+  rateLimiters.forgotPasswordLimiter,
+  authController.authorize("account", "forgotPassword"),
+  validate("account", "forgotPassword"),
+  authController.forgotPassword
+);
+router.patch(
+  "/resetPassword/:token",
+  rateLimiters.resetPasswordLimiter,
+  authController.authorize("account", "resetPassword"),
+  validate("account", "resetPassword"),
+  authController.resetPassword
+);
 
 router.patch(
   "/updateMyPassword",
-  authController.protect,
+  authController.authorize("account", "updatePassword"),
+  validate("account", "updatePassword"),
   authController.updatePassword
 );
 
-router.patch("/updateMe", authController.protect, userController.updateMe);
-router.delete("/deleteMe", authController.protect, userController.deleteMe);
+router.patch(
+  "/updateMe",
+  authController.authorize("account", "updateMe"),
+  userController.uploadUserPhoto,
+  userController.blockPasswordUpdates,
+  validate("account", "updateMe"),
+  userController.resizeUserPhoto,
+  userController.updateMe
+);
+router.delete(
+  "/deleteMe",
+  authController.authorize("account", "deleteMe"),
+  userController.deleteMe
+);
+
+// TWO-FACTOR AUTHENTICATION
+router.post(
+  "/2fa/setup",
+  authController.authorize("account", "twoFactor"),
+  twoFactorController.setupTwoFactor
+);
+router.post(
+  "/2fa/enable",
+  authController.authorize("account", "twoFactor"),
+  validate("account", "twoFactorEnable"),
+  twoFactorController.enableTwoFactor
+);
+router.post(
+  "/2fa/disable",
+  authController.authorize("account", "twoFactor"),
+  validate("account", "twoFactorDisable"),
+  twoFactorController.disableTwoFactor
+);
+router.post(
+  "/2fa/recoveryCodes",
+  authController.authorize("account", "twoFactor"),
+  validate("account", "twoFactorRecoveryCodes"),
+  twoFactorController.regenerateRecoveryCodes
+);
+
+router.get(
+  "/me",
+  authController.authorize("account", "me"),
+  userController.getMe,
+  userController.getUser
+);
+
+// SAVED TOURS
+router.get(
+  "/me/saved",
+  authController.authorize("account", "listSaved"),
+  savedTourController.getMySavedTours
+);
+router
+  .route("/me/saved/:tourId")
+  .post(
+    authController.authorize("account", "saveTour"),
+    savedTourController.saveTour
+  )
+  .delete(
+    authController.authorize("account", "unsaveTour"),
+    savedTourController.unsaveTour
+  );
+
+router.get(
+  "/export",
+  authController.authorize("user", "export"),
+  validate("user", "export"),
+  userController.exportUsers
+);
+
+router.get(
+  "/inactive",
+  authController.authorize("user", "listInactive"),
+  userController.getInactiveUsers
+);
+
+router.get(
+  "/:id/schedule",
+  authController.authorize("user", "schedule"),
+  validate("user", "schedule"),
+  userController.getGuideSchedule
+);
+
+router.patch(
+  "/:id/role",
+  authController.authorize("user", "changeRole"),
+  validate("user", "changeRole"),
+  userController.preventSelfChange,
+  userController.changeRole
+);
+router.patch(
+  "/:id/deactivate",
+  authController.authorize("user", "deactivate"),
+  userController.preventSelfChange,
+  userController.deactivateUser
+);
+router.patch(
+  "/:id/reactivate",
+  authController.authorize("user", "reactivate"),
+  userController.reactivateUser
+);
+
+router
+  .route("/:id")
+  .get(authController.authorize("user", "read"), userController.getUser)
+  .patch(
+    authController.authorize("user", "update"),
+    userController.blockPasswordUpdates,
+    validate("user", "update"),
+    userController.updateUser
+  )
+  .delete(
+    authController.authorize("user", "delete"),
+    userController.deleteUser
+  );
 
 export default router;
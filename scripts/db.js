@@ -0,0 +1,19 @@
+import "../config.js";
+import mongoose from "mongoose";
+
+// Shared by the command line scripts, connects the same way server.js does
+export const runScript = (name, fn) => {
+  const DB = process.env.DATABASE.replace(
+    "<PASSWORD>",
+    process.env.DATABASE_PASSWORD
+  );
+
+  return mongoose
+    .connect(DB)
+    .then(() => fn(mongoose.connection.db))
+    .catch((err) => {
+      console.error(`${name} FAILED 💥`, err);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+};
@@ -0,0 +1,111 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import { runScript } from "./db.js";
+
+// node scripts/migrate.js [up|down|status] [version]
+//   up               applies every pending migration, oldest first
+//   up 003           applies the pending migrations up to version 003
+//   down             reverts the latest applied migration
+//   down 002         reverts the applied migrations back to and including 002
+//   status           lists every migration and when it was applied
+// Files are named <version>-<name>.js and export up(db) and down(db).
+// Applied versions are recorded in the migrations collection.
+const MIGRATIONS_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "migrations"
+);
+const FILE_NAME = /^(\d+)-[\w-]+\.js$/;
+
+const [command = "up", target] = process.argv.slice(2);
+const targetVersion = target && Number(target);
+
+const readMigrations = () => {
+  const migrations = fs
+    .readdirSync(MIGRATIONS_DIR)
+    .filter((el) => el.endsWith(".js"))
+    .sort()
+    .map((file) => {
+      const match = file.match(FILE_NAME);
+      if (!match) {
+        throw new Error(`${file} is not named <version>-<name>.js`);
+      }
+      return { version: match[1], file };
+    });
+
+  migrations.forEach((el, i) => {
+    if (i > 0 && el.version === migrations[i - 1].version) {
+      throw new Error(`Version ${el.version} is used twice`);
+    }
+  });
+
+  return migrations;
+};
+
+const load = (migration) =>
+  import(pathToFileURL(path.join(MIGRATIONS_DIR, migration.file)));
+
+const up = async (db, migrations, applied) => {
+  const pending = migrations.filter(
+    (el) =>
+      !applied.has(el.version) &&
+      (!target || Number(el.version) <= targetVersion)
+  );
+  if (!pending.length) return console.log("Nothing to migrate.");
+
+  for (const migration of pending) {
+    console.log(`up ${migration.file}`);
+    await (await load(migration)).up(db);
+    await db
+      .collection("migrations")
+      .insertOne({ ...migration, appliedAt: new Date() });
+  }
+};
+
+const down = async (db, migrations, applied) => {
+  const done = migrations.filter((el) => applied.has(el.version)).reverse();
+  if (target && !done.some((el) => Number(el.version) === targetVersion)) {
+    throw new Error(`Version ${target} is not applied`);
+  }
+
+  const reverting = target
+    ? done.filter((el) => Number(el.version) >= targetVersion)
+    : done.slice(0, 1);
+  if (!reverting.length) return console.log("Nothing to revert.");
+
+  for (const migration of reverting) {
+    console.log(`down ${migration.file}`);
+    await (await load(migration)).down(db);
+    await db.collection("migrations").deleteOne({ version: migration.version });
+  }
+};
+
+const status = (db, migrations, applied) => {
+  migrations.forEach((el) => {
+    const record = applied.get(el.version);
+    console.log(
+      `${record ? record.appliedAt.toISOString() : "pending".padEnd(24)} ${
+        el.file
+      }`
+    );
+  });
+};
+
+const commands = { up, down, status };
+
+if (!commands[command]) {
+  console.error("Command is either: up, down, status");
+  process.exit(1);
+}
+
+runScript("MIGRATION", async (db) => {
+  const migrations = readMigrations();
+  await db
+    .collection("migrations")
+    .createIndex({ version: 1 }, { unique: true });
+  const records = await db.collection("migrations").find().toArray();
+  const applied = new Map(records.map((el) => [el.version, el]));
+
+  await commands[command](db, migrations, applied);
+});
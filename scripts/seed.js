@@ -0,0 +1,85 @@
+import fs from "fs";
+import path from "path";
+import slugify from "slugify";
+import { runScript } from "./db.js";
+import Tour from "../models/tourModel.js";
+import User from "../models/userModel.js";
+import { getDevDataPath, getToursDataPath } from "../utils/pathUtils.js";
+
+// node scripts/seed.js [import|delete] [users] [tours]
+// Loads the dev-data files into their collections or wipes those
+// collections, every collection when none is named. Records are validated
+// and then written straight to the collection so no save hook runs: the
+// passwords in users.json are bcrypt hashes already, every user logs in
+// with "test1234". Invalid records are reported and skipped.
+const [command = "import", ...names] = process.argv.slice(2);
+
+// "2021-04-25,10:00" in tours-simple.json, the schedule wants { date }
+const toTour = ({ id, startDates = [], ...tour }) => ({
+  ...tour,
+  slug: tour.name && slugify(tour.name, { lower: true }),
+  startDates: startDates.map((el) =>
+    typeof el === "string" ? { date: new Date(el.replace(",", "T")) } : el
+  ),
+});
+
+// In import order, delete goes the other way round
+const datasets = {
+  users: {
+    Model: User,
+    file: getDevDataPath("users.json"),
+    skip: ["passwordConfirm"],
+  },
+  tours: { Model: Tour, file: getToursDataPath(), prepare: toTour },
+};
+
+const importData = async (
+  name,
+  { Model, file, prepare = (el) => el, skip = [] }
+) => {
+  if (!fs.existsSync(file)) {
+    return console.log(`${name}: no ${path.basename(file)}, skipped`);
+  }
+
+  const records = JSON.parse(fs.readFileSync(file, "utf-8"));
+  const docs = [];
+  for (const [i, record] of records.entries()) {
+    const doc = new Model(prepare(record));
+    try {
+      await doc.validate({ pathsToSkip: skip });
+      docs.push(doc.toObject({ depopulate: true, virtuals: false }));
+    } catch (err) {
+      console.log(`${name}: record ${i + 1} skipped, ${err.message}`);
+    }
+  }
+
+  // Unique indexes have to exist before the raw insert
+  await Model.init();
+  if (docs.length) await Model.collection.insertMany(docs);
+
+  console.log(`${name}: ${docs.length} of ${records.length} imported`);
+};
+
+const deleteData = async (name, { Model }) => {
+  const { deletedCount } = await Model.collection.deleteMany({});
+  console.log(`${name}: ${deletedCount} deleted`);
+};
+
+const commands = { import: importData, delete: deleteData };
+
+const unknown = names.filter((el) => !datasets[el]);
+if (!commands[command] || unknown.length) {
+  console.error("Usage: node scripts/seed.js [import|delete] [users] [tours]");
+  process.exit(1);
+}
+
+runScript("SEEDING", async () => {
+  let selected = Object.keys(datasets).filter(
+    (el) => !names.length || names.includes(el)
+  );
+  if (command === "delete") selected = selected.reverse();
+
+  for (const name of selected) {
+    await commands[command](name, datasets[name]);
+  }
+});
@@ -1,7 +1,7 @@
+import "./config.js";
 import mongoose from "mongoose";
-import dotenv from "dotenv";
-dotenv.config({ path: "./config.env" });
 import app from "./app.js";
+import Booking from "./models/bookingModel.js";
 
 process.on("uncaughtException", (err) => {
   console.log("UNCAUGHT EXCEPTION! 💥 Shutting down...");
@@ -23,6 +23,14 @@ mongoose
     console.log("DB Connection Successful");
   });
 
+// Abandoned checkouts also give their seats back when nobody books the date
+const EXPIRE_CHECKOUTS_EVERY = 60 * 1000;
+setInterval(() => {
+  Booking.expirePending().catch((err) => {
+    console.log("EXPIRING CHECKOUTS FAILED 💥", err.message);
+  });
+}, EXPIRE_CHECKOUTS_EVERY).unref();
+
 const port = process.env.PORT || 3000;
 const server = app.listen(port, () => {
   console.log(`App running on port ${port}...`);
@@ -0,0 +1,36 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import APIFeatures from "../utils/apiFeatures.js";
+import Tour from "../models/tourModel.js";
+import Review from "../models/reviewModel.js";
+
+describe("APIFeatures", () => {
+  test("tours sort by _id without a ?sort=, createdAt is hidden", () => {
+    const features = new APIFeatures(Tour.find(), {}).filter().sort();
+    assert.deepEqual(features.queryFind.getOptions().sort, { _id: -1 });
+  });
+
+  test("models with a visible createdAt sort newest first", () => {
+    const features = new APIFeatures(Review.find(), {}).filter().sort();
+    assert.deepEqual(features.queryFind.getOptions().sort, {
+      createdAt: -1,
+      _id: -1,
+    });
+  });
+
+  test("an empty query string runs the whole tour chain", () => {
+    assert.doesNotThrow(() =>
+      new APIFeatures(Tour.find(), {})
+        .search()
+        .filter()
+        .sort()
+        .limitFields()
+        .paginate()
+    );
+  });
+
+  test("hidden paths can not be sorted on", () => {
+    const features = new APIFeatures(Tour.find(), { sort: "createdAt" });
+    assert.throws(() => features.sort(), { statusCode: 400 });
+  });
+});
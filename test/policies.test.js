@@ -0,0 +1,166 @@
+import { test, describe, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import app from "../app.js";
+import Tour from "../models/tourModel.js";
+import { authorize } from "../controllers/authController.js";
+import { policies, getPolicy, isAllowed } from "../utils/policies.js";
+
+// Routes that are guarded some other way: the webhook is signed by the
+// payment provider. Paths of "*" are the 404 handler.
+const UNGUARDED = ["POST /api/v1/payments/webhook"];
+
+// "^\/api\/v1\/tours\/?(?=\/|$)" -> "/api/v1/tours", params become ":name"
+const mountPath = (layer) => {
+  let i = 0;
+  return layer.regexp.source
+    .replace(/^\^/, "")
+    .replace(/\\\/\?\(\?=\\\/\|\$\)$/, "")
+    .replace(/\(\?:\(\[\^\\\/\]\+\?\)\)/g, () => `:${layer.keys[i++].name}`)
+    .replace(/\\\//g, "/");
+};
+
+// Every METHOD path of the app with the policy names of its guards
+const collectRoutes = (stack, prefix = "") =>
+  stack.flatMap((layer) => {
+    if (layer.route) {
+      return Object.keys(layer.route.methods).map((method) => ({
+        route: `${method.toUpperCase()} ${prefix}${layer.route.path}`,
+        policyNames: layer.route.stack
+          .filter((el) => !el.method || el.method === method)
+          .map((el) => el.handle.policy)
+          .filter(Boolean),
+      }));
+    }
+    if (layer.handle && layer.handle.stack) {
+      return collectRoutes(layer.handle.stack, prefix + mountPath(layer));
+    }
+    return [];
+  });
+
+const routes = collectRoutes(app._router.stack);
+const policyOf = (route) => {
+  const found = routes.find((el) => el.route === route);
+  assert.ok(found, `${route} is not a route`);
+  return found.policyNames;
+};
+
+const user = (role, id = "5c8a1d5b0190b214360dc057") => ({ id, _id: id, role });
+
+describe("route coverage", () => {
+  test("finds the routes of every router", () => {
+    assert.ok(routes.length > 50);
+    assert.deepEqual(policyOf("GET /api/v1/tours/:tourId/reviews/"), [
+      "review.list",
+    ]);
+  });
+
+  test("every route is guarded by exactly one policy", () => {
+    const missing = routes
+      .filter((el) => !UNGUARDED.includes(el.route))
+      .filter((el) => !el.route.endsWith(" *"))
+      .filter((el) => el.policyNames.length !== 1)
+      .map((el) => el.route);
+
+    assert.deepEqual(missing, []);
+  });
+
+  test("tours can only be created and updated by staff", () => {
+    assert.deepEqual(policyOf("POST /api/v1/tours/"), ["tour.create"]);
+    assert.deepEqual(policyOf("PATCH /api/v1/tours/:id"), ["tour.update"]);
+    assert.notEqual(policies.tour.create, "public");
+    assert.notEqual(policies.tour.update, "public");
+  });
+
+  test("the top 5 alias has the same policy as the tour list", () => {
+    assert.deepEqual(
+      policyOf("GET /api/v1/tours/top-5-cheap"),
+      policyOf("GET /api/v1/tours/")
+    );
+  });
+
+  test("user management is admin only", () => {
+    assert.deepEqual(policyOf("GET /api/v1/users/"), ["user.list"]);
+    assert.deepEqual(policies.user.list, ["admin"]);
+    assert.deepEqual(policyOf("DELETE /api/v1/users/:id"), ["user.delete"]);
+    assert.deepEqual(policies.user.delete, ["admin"]);
+  });
+});
+
+describe("policies", () => {
+  afterEach(() => mock.restoreAll());
+
+  test("every policy is public or a list of known rules", () => {
+    Object.entries(policies).forEach(([resource, actions]) => {
+      Object.keys(actions).forEach((action) => {
+        assert.doesNotThrow(() => getPolicy(resource, action));
+      });
+    });
+  });
+
+  test("unknown actions have no policy", () => {
+    assert.throws(() => getPolicy("tour", "nope"), /No policy defined/);
+  });
+
+  test("public needs no user", async () => {
+    assert.equal(await isAllowed(getPolicy("tour", "list"), {}), true);
+  });
+
+  test("roles are matched exactly", async () => {
+    const policy = getPolicy("tour", "create");
+    assert.equal(await isAllowed(policy, { user: user("admin") }), true);
+    assert.equal(await isAllowed(policy, { user: user("lead-guide") }), true);
+    assert.equal(await isAllowed(policy, { user: user("guide") }), false);
+    assert.equal(await isAllowed(policy, { user: user("user") }), false);
+  });
+
+  test("a guide may only update tours they are assigned to", async () => {
+    const policy = getPolicy("tour", "update");
+    const guide = user("guide");
+    const exists = mock.method(Tour, "exists", async (filter) =>
+      filter._id === "assigned" ? { _id: filter._id } : null
+    );
+
+    const req = (id) => ({ user: guide, params: { id } });
+    assert.equal(await isAllowed(policy, req("assigned")), true);
+    assert.equal(await isAllowed(policy, req("other")), false);
+    assert.deepEqual(exists.mock.calls[0].arguments[0], {
+      _id: "assigned",
+      guides: guide._id,
+    });
+  });
+
+  test("the ownership check of a rule only applies to its role", async () => {
+    const policy = getPolicy("user", "schedule");
+    const id = "5c8a21d02f8fb814b56fa190";
+
+    const self = { user: user("guide", id), params: { id } };
+    const other = { user: user("guide"), params: { id } };
+    const asUser = { user: user("user", id), params: { id } };
+    assert.equal(await isAllowed(policy, self), true);
+    assert.equal(await isAllowed(policy, other), false);
+    assert.equal(await isAllowed(policy, asUser), false);
+  });
+});
+
+describe("authorize", () => {
+  const run = (guard, req) =>
+    new Promise((resolve) => guard(req, {}, (err) => resolve(err)));
+
+  test("lets allowed users through", async () => {
+    const err = await run(authorize("user", "list"), { user: user("admin") });
+    assert.equal(err, undefined);
+  });
+
+  test("answers 403 to other roles", async () => {
+    const err = await run(authorize("user", "list"), { user: user("guide") });
+    assert.equal(err.statusCode, 403);
+  });
+
+  test("asks for a login when there is no user", async () => {
+    const err = await run(authorize("user", "list"), {
+      headers: {},
+      cookies: {},
+    });
+    assert.equal(err.statusCode, 401);
+  });
+});
@@ -0,0 +1,232 @@
+import Tour from "../models/tourModel.js";
+import Review from "../models/reviewModel.js";
+import User from "../models/userModel.js";
+import Booking from "../models/bookingModel.js";
+import Payment from "../models/paymentModel.js";
+import AppError from "./appError.js";
+
+// Aggregations behind the admin analytics endpoints. Every report takes an
+// optional { from, to } range, to is exclusive.
+
+export const INTERVALS = ["day", "week", "month"];
+
+const DATE_FORMATS = {
+  day: "%Y-%m-%d",
+  week: "%G-W%V",
+  month: "%Y-%m",
+};
+
+// Extra keys the tour breakdown can be grouped by besides difficulty
+export const BREAKDOWN_KEYS = ["duration", "maxGroupSize"];
+
+const rangeMatch = (field, { from, to } = {}) => {
+  if (from && to && from >= to) {
+    throw new AppError("from must be before to.", 400);
+  }
+  if (!from && !to) return {};
+
+  const match = {};
+  if (from) match.$gte = from;
+  if (to) match.$lt = to;
+  return { [field]: match };
+};
+
+const period = (field, interval = "month") => ({
+  $dateToString: { format: DATE_FORMATS[interval], date: field },
+});
+
+// The tour of a group keyed by tour id, deleted tours are left out
+const withTour = [
+  {
+    $lookup: {
+      from: "tours",
+      localField: "_id",
+      foreignField: "_id",
+      as: "tour",
+    },
+  },
+  { $unwind: "$tour" },
+];
+const tourSummary = {
+  _id: "$tour._id",
+  name: "$tour.name",
+  slug: "$tour.slug",
+};
+
+// Paid payments per period and currency, amounts in the currency's unit
+export const revenue = ({ range, interval }) =>
+  Payment.aggregate([
+    { $match: { status: "paid", ...rangeMatch("paidAt", range) } },
+    {
+      $group: {
+        _id: { period: period("$paidAt", interval), currency: "$currency" },
+        revenue: { $sum: "$amount" },
+        payments: { $sum: 1 },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        period: "$_id.period",
+        currency: "$_id.currency",
+        revenue: { $divide: ["$revenue", 100] },
+        payments: 1,
+      },
+    },
+    { $sort: { period: 1, currency: 1 } },
+  ]);
+
+// Bookings created in the range by status, and how many of them were paid
+export const bookingFunnel = async ({ range }) => {
+  const [bookings, payments] = await Promise.all([
+    Booking.aggregate([
+      { $match: rangeMatch("createdAt", range) },
+      {
+        $group: {
+          _id: "$status",
+          count: { $sum: 1 },
+          seats: { $sum: "$seats" },
+        },
+      },
+    ]),
+    Payment.aggregate([
+      { $match: rangeMatch("createdAt", range) },
+      { $group: { _id: "$status", count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const byStatus = (rows) =>
+    Object.fromEntries(rows.map(({ _id, ...rest }) => [_id, rest]));
+  const bookingCounts = byStatus(bookings);
+  const total = bookings.reduce((sum, el) => sum + el.count, 0);
+  const confirmed = bookingCounts.confirmed ? bookingCounts.confirmed.count : 0;
+
+  return {
+    total,
+    bookings: bookingCounts,
+    payments: byStatus(payments),
+    conversionRate: total ? Math.round((confirmed / total) * 1000) / 1000 : 0,
+  };
+};
+
+// Count of reviews per star (ratings are floored) for every reviewed tour
+export const ratingHistogram = ({ range, tour }) =>
+  Review.aggregate([
+    {
+      $match: {
+        rating: { $ne: null },
+        ...(tour && { tour }),
+        ...rangeMatch("createdAt", range),
+      },
+    },
+    {
+      $group: {
+        _id: { tour: "$tour", stars: { $floor: "$rating" } },
+        count: { $sum: 1 },
+        ratingSum: { $sum: "$rating" },
+      },
+    },
+    {
+      $group: {
+        _id: "$_id.tour",
+        histogram: {
+          $push: { k: { $toString: { $toInt: "$_id.stars" } }, v: "$count" },
+        },
+        reviews: { $sum: "$count" },
+        ratingSum: { $sum: "$ratingSum" },
+      },
+    },
+    ...withTour,
+    {
+      $project: {
+        _id: 0,
+        tour: tourSummary,
+        reviews: 1,
+        avgRating: { $round: [{ $divide: ["$ratingSum", "$reviews"] }, 1] },
+        histogram: {
+          $mergeObjects: [
+            { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 },
+            { $arrayToObject: "$histogram" },
+          ],
+        },
+      },
+    },
+    { $sort: { reviews: -1 } },
+  ]);
+
+export const topToursByReviews = ({ range, limit = 10 }) =>
+  Review.aggregate([
+    { $match: rangeMatch("createdAt", range) },
+    {
+      $group: {
+        _id: "$tour",
+        reviews: { $sum: 1 },
+        avgRating: { $avg: "$rating" },
+      },
+    },
+    { $sort: { reviews: -1, avgRating: -1 } },
+    { $limit: limit },
+    ...withTour,
+    {
+      $project: {
+        _id: 0,
+        tour: tourSummary,
+        reviews: 1,
+        avgRating: { $round: ["$avgRating", 1] },
+      },
+    },
+  ]);
+
+// Users have no createdAt, the ObjectId holds the creation time
+export const signups = ({ range, interval }) =>
+  User.aggregate([
+    { $addFields: { signedUpAt: { $toDate: "$_id" } } },
+    { $match: rangeMatch("signedUpAt", range) },
+    {
+      $group: {
+        _id: period("$signedUpAt", interval),
+        signups: { $sum: 1 },
+        verified: {
+          $sum: { $cond: [{ $eq: ["$emailVerified", false] }, 0, 1] },
+        },
+      },
+    },
+    { $project: { _id: 0, period: "$_id", signups: 1, verified: 1 } },
+    { $sort: { period: 1 } },
+  ]);
+
+// Tour numbers per difficulty, optionally split further by BREAKDOWN_KEYS
+export const tourBreakdown = ({ groupBy = [], minRating }) => {
+  const unknown = groupBy.filter((el) => !BREAKDOWN_KEYS.includes(el));
+  if (unknown.length) {
+    throw new AppError(
+      `Unknown grouping key: ${unknown.join(
+        ", "
+      )}. Allowed keys: ${BREAKDOWN_KEYS.join(", ")}.`,
+      400
+    );
+  }
+
+  const keys = ["difficulty", ...new Set(groupBy)];
+
+  return Tour.aggregate([
+    ...(minRating ? [{ $match: { ratingsAverage: { $gte: minRating } } }] : []),
+    {
+      $group: {
+        _id: Object.fromEntries(keys.map((el) => [el, `$${el}`])),
+        numTours: { $sum: 1 },
+        numRatings: { $sum: "$ratingsQuantity" },
+        avgRating: { $avg: "$ratingsAverage" },
+        avgPrice: { $avg: "$price" },
+        minPrice: { $min: "$price" },
+        maxPrice: { $max: "$price" },
+        savedCount: { $sum: "$savedCount" },
+      },
+    },
+    {
+      $replaceWith: { $mergeObjects: ["$_id", "$$ROOT"] },
+    },
+    { $project: { _id: 0 } },
+    { $sort: Object.fromEntries(keys.map((el) => [el, 1])) },
+  ]);
+};
@@ -1,88 +1,414 @@
+import mongoose from "mongoose";
+import AppError from "./appError.js";
+
+const RESERVED_PARAMS = ["page", "sort", "limit", "fields", "cursor"];
+
+const DEFAULT_LIMIT = 10;
+const DEFAULT_MAX_LIMIT = 100;
+
+const OPERATORS = ["eq", "ne", "gt", "gte", "lt", "lte", "in", "nin"];
+const RANGE_OPERATORS = ["gt", "gte", "lt", "lte"];
+const LIST_OPERATORS = ["in", "nin"];
+const RANGE_TYPES = ["Number", "Date", "String"];
+
+// Turn a query string value into the type of the schema path
+const castValue = (field, type, enumValues, value) => {
+  let cast;
+
+  if (type === "Number") {
+    cast = value === "" ? NaN : Number(value);
+    if (Number.isNaN(cast)) cast = undefined;
+  } else if (type === "Date") {
+    cast = new Date(value);
+    if (Number.isNaN(cast.getTime())) cast = undefined;
+  } else if (type === "Boolean") {
+    if (value === "true") cast = true;
+    if (value === "false") cast = false;
+  } else if (type === "ObjectId") {
+    if (mongoose.isValidObjectId(value)) cast = value;
+  } else if (type === "String") {
+    cast = value;
+    if (enumValues && enumValues.length && !enumValues.includes(value)) {
+      throw new AppError(
+        `Invalid value for ${field}: ${value}. Allowed values: ${enumValues.join(
+          ", "
+        )}.`,
+        400
+      );
+    }
+  }
+
+  if (cast === undefined) {
+    throw new AppError(`Invalid value for ${field}: ${value}.`, 400);
+  }
+
+  return cast;
+};
+
+// Cursors are opaque to clients: base64url JSON of the sort key, the sort
+// values of the boundary document and the direction to read in.
+const encodeValue = (value) => {
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { $oid: `${value}` };
+  return value === undefined ? null : value;
+};
+
+const decodeValue = (value) => {
+  if (value && value.$date) return new Date(value.$date);
+  if (value && value.$oid) return new mongoose.Types.ObjectId(value.$oid);
+  return value;
+};
+
+const encodeCursor = (sortKey, values, direction) =>
+  Buffer.from(
+    JSON.stringify({ s: sortKey, v: values.map(encodeValue), d: direction })
+  ).toString("base64url");
+
+const decodeCursor = (cursor, sortKey, length) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(`${cursor}`, "base64url").toString());
+  } catch (err) {
+    decoded = null;
+  }
+
+  if (
+    !decoded ||
+    !Array.isArray(decoded.v) ||
+    decoded.v.length !== length ||
+    !["next", "prev"].includes(decoded.d)
+  ) {
+    throw new AppError("Invalid pagination cursor.", 400);
+  }
+
+  if (decoded.s !== sortKey) {
+    throw new AppError("Pagination cursor does not match the sort order.", 400);
+  }
+
+  return {
+    values: decoded.v.map(decodeValue),
+    direction: decoded.d,
+  };
+};
+
 class APIFeatures {
-  constructor(queryFind, queryString) {
+  constructor(queryFind, queryString, options = {}) {
     this.queryFind = queryFind;
     this.queryString = queryString;
+    this.maxLimit =
+      options.maxLimit ||
+      process.env.PAGINATION_MAX_LIMIT * 1 ||
+      DEFAULT_MAX_LIMIT;
+  }
+
+  // Resolve a filterable schema path and the type its values are cast to
+  resolvePath(field) {
+    const schemaType = this.queryFind.model.schema.path(field);
+
+    if (!schemaType || schemaType.options.select === false) {
+      throw new AppError(`Unknown filter field: ${field}.`, 400);
+    }
+
+    const type =
+      schemaType.instance === "Array"
+        ? schemaType.caster && schemaType.caster.instance
+        : schemaType.instance;
+
+    if (!type || schemaType.schema) {
+      throw new AppError(`Can not filter on field: ${field}.`, 400);
+    }
+
+    const enumValues =
+      schemaType.enumValues ||
+      (schemaType.caster && schemaType.caster.enumValues);
+
+    return { type, enumValues };
   }
 
+  // ?duration[gte]=5&difficulty[in]=easy,medium&ratingsAverage[ne]=4.5
+  // Legacy minPrice/maxPrice style params map to [gte]/[lte].
   filter() {
     const queryObj = { ...this.queryString };
-    const excludedFields = ["page", "sort", "limit", "fields"];
-    excludedFields.forEach((el) => delete queryObj[el]);
+    RESERVED_PARAMS.forEach((el) => delete queryObj[el]);
+    if (this.searchTerm) delete queryObj.q;
 
-    const { price,minPrice, maxPrice, difficulty, duration, minDuration, maxDuration } = queryObj;
     const newQuery = {};
 
-    if (difficulty) {
-      newQuery.difficulty = difficulty;
-    }
+    Object.entries(queryObj).forEach(([key, raw]) => {
+      let field = key;
+      let conditions = raw;
 
-    if (duration) {
-      newQuery.duration = duration;
-    }
+      const legacy =
+        !this.queryFind.model.schema.path(key) &&
+        key.match(/^(min|max)([A-Z]\w*)$/);
+      if (legacy) {
+        field = legacy[2].charAt(0).toLowerCase() + legacy[2].slice(1);
+        conditions = { [legacy[1] === "min" ? "gte" : "lte"]: raw };
+      }
 
-    if (minDuration && maxDuration) {
-      newQuery.duration = {
-        $gte: Number(minDuration),
-        $lte: Number(maxDuration),
-      };
-    } else if (minDuration) {
-      newQuery.duration = { $gte: Number(minDuration) };
-    } else if (maxDuration) {
-      newQuery.duration = { $lte: Number(maxDuration) };
-    }
+      const { type, enumValues } = this.resolvePath(field);
 
-    if (price) {
-      newQuery.price = price;
-    }
+      if (
+        typeof conditions !== "object" ||
+        Array.isArray(conditions) ||
+        conditions === null
+      ) {
+        conditions = { [Array.isArray(conditions) ? "in" : "eq"]: conditions };
+      }
+
+      const query = newQuery[field] || {};
 
-    if (minPrice && maxPrice) {
-      newQuery.price = {
-        $gte: Number(minPrice),
-        $lte: Number(maxPrice),
-      };
-    } else if (minPrice) {
-      newQuery.price = { $gte: Number(minPrice) };
-    } else if (maxPrice) {
-      newQuery.price = { $lte: Number(maxPrice) };
+      Object.entries(conditions).forEach(([operator, value]) => {
+        if (!OPERATORS.includes(operator)) {
+          throw new AppError(
+            `Unknown filter operator for ${field}: ${operator}. Allowed operators: ${OPERATORS.join(
+              ", "
+            )}.`,
+            400
+          );
+        }
+
+        if (RANGE_OPERATORS.includes(operator) && !RANGE_TYPES.includes(type)) {
+          throw new AppError(
+            `Operator ${operator} is not supported for field ${field}.`,
+            400
+          );
+        }
+
+        if (LIST_OPERATORS.includes(operator)) {
+          const values = Array.isArray(value) ? value : `${value}`.split(",");
+          query[`$${operator}`] = values.map((el) =>
+            castValue(field, type, enumValues, el)
+          );
+        } else if (typeof value === "object") {
+          throw new AppError(`Invalid value for ${field}.`, 400);
+        } else {
+          query[`$${operator}`] = castValue(field, type, enumValues, value);
+        }
+      });
+
+      newQuery[field] = query;
+    });
+
+    // Under $and so a param can only narrow the route's own filter, never
+    // replace a condition like { user: req.user.id }
+    if (Object.keys(newQuery).length) {
+      this.queryFind = this.queryFind.find({ $and: [newQuery] });
     }
+    this.countFilter = this.queryFind.getFilter();
 
-    this.queryFind = this.queryFind.find(newQuery);
+    return this;
+  }
+
+  // ?q=forest hiker runs a $text search, needs a text index on the model.
+  // Without an explicit ?sort= the results are ranked by relevance.
+  search() {
+    this.searchTerm = this.queryString.q && `${this.queryString.q}`.trim();
+    if (!this.searchTerm) return this;
+
+    this.queryFind = this.queryFind.find({
+      $text: { $search: this.searchTerm },
+    });
+    this.byRelevance = !this.queryString.sort;
 
     return this;
   }
 
+  // [[field, 1 | -1], ...] always ending in _id so the order is total
+  get sortSpec() {
+    if (!this._sortSpec) {
+      // Newest first by default, models without a visible createdAt fall
+      // back to _id
+      const createdAt = this.queryFind.model.schema.path("createdAt");
+      const defaultSort =
+        createdAt && createdAt.options.select !== false ? "-createdAt" : "-_id";
+      const sortBy = (this.queryString.sort || defaultSort).split(",");
+      const spec = sortBy
+        .filter((el) => el && el !== "_id" && el !== "-_id")
+        .map((el) => (el.startsWith("-") ? [el.slice(1), -1] : [el, 1]));
+
+      // Hidden paths would have to be selected for the cursor, so they
+      // are as unknown here as they are to filter()
+      spec.forEach(([field]) => {
+        const schemaType = this.queryFind.model.schema.path(field);
+        if (!schemaType || schemaType.options.select === false) {
+          throw new AppError(`Unknown sort field: ${field}.`, 400);
+        }
+      });
+
+      const idSort = sortBy.includes("-_id") ? -1 : 1;
+      spec.push(["_id", spec.length ? spec[spec.length - 1][1] : idSort]);
+      this._sortSpec = spec;
+    }
+
+    return this._sortSpec;
+  }
+
   sort() {
-    if (this.queryString.sort) {
-      console.log(this.queryString.sort);
-      const sortBy = this.queryString.sort.split(",").join(" ");
-      this.queryFind = this.queryFind.sort(sortBy);
-    } else {
-      this.queryFind = this.queryFind.sort("-createdAt");
+    if (this.byRelevance) {
+      this.queryFind = this.queryFind.sort({
+        score: { $meta: "textScore" },
+        _id: 1,
+      });
+      return this;
     }
 
+    this.queryFind = this.queryFind.sort(Object.fromEntries(this.sortSpec));
+
     return this;
   }
 
+  // ?fields= takes schema paths, hidden (select: false) ones are dropped
+  selectablePath(field) {
+    const { schema } = this.queryFind.model;
+    const pathType = schema.pathType(field);
+
+    if (pathType !== "real" && pathType !== "nested") {
+      throw new AppError(`Unknown field: ${field}.`, 400);
+    }
+
+    return pathType === "nested" || schema.path(field).options.select !== false;
+  }
+
   limitFields() {
+    // Sort fields are always selected, cursors are built from their values
+    const sortFields = this.byRelevance
+      ? []
+      : this.sortSpec
+          .map(([field]) => field)
+          .filter((field) => field !== "_id");
+
+    let fields = ["-__v"];
     if (this.queryString.fields) {
-      const fields = this.queryString.fields.split(",").join(" ");
-      this.queryFind = this.queryFind.select(fields);
+      fields = this.queryString.fields
+        .split(",")
+        .filter((el) => el && this.selectablePath(el.replace(/^[-+]/, "")))
+        .map((el) => el.replace(/^\+/, ""));
+    }
+
+    if (fields.every((el) => el.startsWith("-"))) {
+      fields = fields.filter((el) => !sortFields.includes(el.slice(1)));
     } else {
-      this.queryFind = this.queryFind.select("-__v");
+      fields = [...new Set([...fields, ...sortFields])];
     }
 
+    // The score has to be selected first, mongoose drops it after an
+    // exclusive selection
+    if (this.searchTerm) {
+      this.queryFind = this.queryFind.select({ score: { $meta: "textScore" } });
+    }
+    this.queryFind = this.queryFind.select(fields.join(" "));
+
     return this;
   }
 
+  // ?page=2&limit=20 skips documents, anything else pages with cursors.
+  // One extra document is fetched to know whether another page exists.
   paginate() {
-    const page = this.queryString.page * 1 || 1;
-    const limit = this.queryString.limit * 1 || 10;
-    const skip = (page - 1) * limit;
+    const limit = Math.min(
+      Math.max(this.queryString.limit * 1 || DEFAULT_LIMIT, 1),
+      this.maxLimit
+    );
+    this.pagination = { limit };
+
+    // The relevance score can not be compared in a filter, so ranked
+    // results always page by number
+    if (this.byRelevance && this.queryString.cursor) {
+      throw new AppError(
+        "Cursor pagination is not available for results ranked by relevance. Please use ?page= or a ?sort=.",
+        400
+      );
+    }
+
+    if (
+      this.byRelevance ||
+      (this.queryString.page && !this.queryString.cursor)
+    ) {
+      const page = Math.max(this.queryString.page * 1 || 1, 1);
+      this.pagination.page = page;
+      this.queryFind = this.queryFind.skip((page - 1) * limit);
+    } else if (this.queryString.cursor) {
+      const spec = this.sortSpec;
+      const { values, direction } = decodeCursor(
+        this.queryString.cursor,
+        this.sortKey(),
+        spec.length
+      );
+      const forward = direction === "next";
+
+      // (a > x) OR (a = x AND b > y) OR ... for every sort field
+      const after = spec.map(([field, order], i) => {
+        const condition = {};
+        spec.slice(0, i).forEach(([prevField], j) => {
+          condition[prevField] = values[j];
+        });
+        condition[field] = {
+          [(order === 1) === forward ? "$gt" : "$lt"]: values[i],
+        };
+        return condition;
+      });
 
-    this.queryFind = this.queryFind.skip(skip).limit(limit);
+      this.queryFind = this.queryFind.find({ $and: [{ $or: after }] });
+      if (!forward) {
+        this.queryFind = this.queryFind.sort(
+          Object.fromEntries(spec.map(([field, order]) => [field, -order]))
+        );
+      }
+      this.pagination.direction = direction;
+    }
+
+    this.queryFind = this.queryFind.limit(limit + 1);
 
     return this;
   }
+
+  sortKey() {
+    return this.sortSpec
+      .map(([field, order]) => `${order === -1 ? "-" : ""}${field}`)
+      .join(",");
+  }
+
+  cursorFor(doc, direction) {
+    return encodeCursor(
+      this.sortKey(),
+      this.sortSpec.map(([field]) => doc.get(field)),
+      direction
+    );
+  }
+
+  // Run the query and work out the total and the next/prev page parameters
+  async exec() {
+    const { limit, page, direction } = this.pagination;
+    const model = this.queryFind.model;
+
+    const [found, total] = await Promise.all([
+      this.queryFind,
+      model.countDocuments(this.countFilter || {}),
+    ]);
+
+    const hasMore = found.length > limit;
+    const docs = found.slice(0, limit);
+    if (direction === "prev") docs.reverse();
+
+    const first = docs[0];
+    const last = docs[docs.length - 1];
+    let next = null;
+    let prev = null;
+
+    if (page) {
+      if (hasMore) next = { page: page + 1, limit };
+      if (page > 1) prev = { page: page - 1, limit };
+    } else if (docs.length) {
+      if (hasMore || direction === "prev") {
+        next = { cursor: this.cursorFor(last, "next"), limit };
+      }
+      if ((hasMore && direction === "prev") || direction === "next") {
+        prev = { cursor: this.cursorFor(first, "prev"), limit };
+      }
+    }
+
+    return { docs, total, next, prev };
+  }
 }
 
 export default APIFeatures;
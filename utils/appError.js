@@ -1,8 +1,13 @@
+import { codeForStatus } from "./errorCodes.js";
+
 class AppError extends Error {
-  constructor(message, statusCode) {
+  // details: optional list of { field, message, kind } for input errors
+  constructor(message, statusCode, code, details) {
     super(message);
     this.statusCode = statusCode;
     this.status = `${statusCode}`.startsWith("4") ? "fail" : "error";
+    this.code = code || codeForStatus(statusCode);
+    if (details) this.details = details;
     this.isOperational = true;
     Error.captureStackTrace(this, this.constructor);
   }
@@ -0,0 +1,63 @@
+// Minimal RFC 4180 CSV: quoted fields may contain commas, quotes and line
+// breaks, quotes inside are doubled.
+
+// Cells starting with these are run as formulas by spreadsheet apps
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+export const formatCsvValue = (value) => {
+  if (value === undefined || value === null) return "";
+
+  let text = `${value}`;
+  if (typeof value === "string" && FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const formatCsvRow = (values) =>
+  `${values.map(formatCsvValue).join(",")}\r\n`;
+
+// Returns an array of rows, each an array of strings
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) throw new Error("Unterminated quoted field");
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((el) => el.length > 1 || el[0] !== "");
+};
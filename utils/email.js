@@ -1,25 +1,131 @@
+import fs from "fs/promises";
+import { join } from "path";
+import crypto from "crypto";
 import nodemailer from "nodemailer";
+import templates from "./emailTemplates.js";
+import { getTmpPath } from "./pathUtils.js";
 
-const sendEmail = async (options) => {
-  const transporter = nodemailer.createTransport({
-    host: process.env.EMAIL_HOST,
-    port: process.env.EMAIL_PORT,
-    secure: false,
-    logger: true,
-    auth: {
-      user: process.env.EMAIL_USERNAME,
-      pass: process.env.EMAIL_PASSWORD,
+// Emails sent through the memory transport, for tests
+const sentEmails = [];
+
+export const getSentEmails = () => [...sentEmails];
+export const clearSentEmails = () => {
+  sentEmails.length = 0;
+};
+
+const transportName = () =>
+  process.env.EMAIL_TRANSPORT ||
+  (process.env.NODE_ENV === "test"
+    ? "memory"
+    : process.env.EMAIL_HOST
+    ? "smtp"
+    : "file");
+
+const transports = {
+  smtp: () =>
+    nodemailer.createTransport({
+      host: process.env.EMAIL_HOST,
+      port: process.env.EMAIL_PORT,
+      secure: process.env.EMAIL_SECURE === "true",
+      auth: {
+        user: process.env.EMAIL_USERNAME,
+        pass: process.env.EMAIL_PASSWORD,
+      },
+    }),
+
+  // Writes every email as an .eml file, to open in any mail client
+  file: () => {
+    const transport = nodemailer.createTransport({
+      streamTransport: true,
+      buffer: true,
+    });
+    const dir = process.env.EMAIL_FILE_DIR || getTmpPath("emails");
+
+    return {
+      sendMail: async (mailOptions) => {
+        const info = await transport.sendMail(mailOptions);
+        await fs.mkdir(dir, { recursive: true });
+        await fs.writeFile(
+          join(
+            dir,
+            `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.eml`
+          ),
+          info.message
+        );
+        return info;
+      },
+    };
+  },
+
+  memory: () => ({
+    sendMail: async (mailOptions) => {
+      sentEmails.push({ ...mailOptions, sentAt: new Date() });
+      return { messageId: `memory-${sentEmails.length}` };
     },
-  });
+  }),
+};
+
+let transport;
+let transportKey;
 
-  const mailOptions = {
-    from: "Rasheed Adesokan <thefdmm@gmail.com>",
-    to: options.email,
-    subject: options.subject,
-    text: options.message,
-  };
+// Created once and reused; EMAIL_TRANSPORT picks smtp, file or memory
+const getTransport = () => {
+  const name = transportName();
+  if (transport && transportKey === name) return transport;
 
-  await transporter.sendMail(mailOptions);
+  if (!transports[name]) {
+    throw new Error(`Unknown email transport: ${name}`);
+  }
+
+  transport = transports[name]();
+  transportKey = name;
+  return transport;
 };
 
-export default sendEmail;
+class Email {
+  constructor(user, url, to = user.email) {
+    this.to = to;
+    this.firstName = user.name.split(" ")[0];
+    this.url = url;
+    this.from =
+      process.env.EMAIL_FROM || "Glide Tours <no-reply@glide-tours.com>";
+  }
+
+  async send(template, data = {}) {
+    const { subject, text, html } = templates[template]({
+      firstName: this.firstName,
+      url: this.url,
+      ...data,
+    });
+
+    await getTransport().sendMail({
+      from: this.from,
+      to: this.to,
+      subject,
+      text,
+      html,
+    });
+  }
+
+  async sendWelcome() {
+    await this.send("welcome");
+  }
+
+  async sendEmailVerification() {
+    await this.send("verifyEmail");
+  }
+
+  async sendPasswordReset() {
+    await this.send("passwordReset");
+  }
+
+  async sendBookingConfirmation(booking) {
+    await this.send("bookingConfirmation", { booking });
+  }
+
+  async sendAccountDeactivated() {
+    await this.send("accountDeactivated");
+  }
+}
+
+export default Email;
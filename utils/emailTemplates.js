@@ -0,0 +1,115 @@
+// Every template returns { subject, text, html } for the given data
+const escapeHtml = (value) =>
+  `${value}`
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+  });
+
+const layout = (subject, paragraphs, button) => `<!DOCTYPE html>
+<html>
+  <head>
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <meta http-equiv="Content-Type" content="text/html; charset=UTF-8" />
+    <title>${escapeHtml(subject)}</title>
+  </head>
+  <body style="background-color: #f6f6f6; font-family: sans-serif; font-size: 14px; line-height: 1.4; margin: 0; padding: 24px;">
+    <div style="background: #ffffff; border-radius: 3px; margin: 0 auto; max-width: 580px; padding: 24px;">
+${paragraphs
+  .map((text) => `      <p style="margin: 0 0 15px;">${escapeHtml(text)}</p>`)
+  .join("\n")}${
+  button
+    ? `
+      <p style="margin: 24px 0;">
+        <a href="${escapeHtml(
+          button.url
+        )}" style="background-color: #55c57a; border-radius: 5px; color: #ffffff; display: inline-block; padding: 12px 25px; text-decoration: none;">${escapeHtml(
+        button.label
+      )}</a>
+      </p>`
+    : ""
+}
+      <p style="margin: 0;">- The Glide Tours team</p>
+    </div>
+  </body>
+</html>
+`;
+
+const text = (paragraphs, button) =>
+  [
+    ...paragraphs,
+    ...(button ? [`${button.label}: ${button.url}`] : []),
+    "- The Glide Tours team",
+  ].join("\n\n");
+
+const render = (subject, paragraphs, button) => ({
+  subject,
+  text: text(paragraphs, button),
+  html: layout(subject, paragraphs, button),
+});
+
+const templates = {
+  welcome: ({ firstName, url }) =>
+    render(
+      "Welcome to the Glide Tours family!",
+      [
+        `Hi ${firstName},`,
+        "Welcome to Glide Tours, we're glad to have you!",
+        "Please confirm your email address so you can book tours and write reviews. The link is valid for 24 hours.",
+      ],
+      { label: "Confirm your email", url }
+    ),
+
+  verifyEmail: ({ firstName, url }) =>
+    render(
+      "Confirm your email address",
+      [
+        `Hi ${firstName},`,
+        "Please confirm this email address for your Glide Tours account. The link is valid for 24 hours.",
+        "If you didn't request this, please ignore this email!",
+      ],
+      { label: "Confirm your email", url }
+    ),
+
+  passwordReset: ({ firstName, url }) =>
+    render(
+      "Your password reset token (valid for 10 min)",
+      [
+        `Hi ${firstName},`,
+        "Forgot your password? Submit a PATCH request with your new password and passwordConfirm to the link below.",
+        "If you didn't forget your password, please ignore this email!",
+      ],
+      { label: "Reset your password", url }
+    ),
+
+  bookingConfirmation: ({ firstName, url, booking }) =>
+    render(
+      `Your booking for ${booking.tour.name} is confirmed`,
+      [
+        `Hi ${firstName},`,
+        `Your booking for ${booking.tour.name} starting on ${formatDate(
+          booking.startDate
+        )} is confirmed.`,
+        `Seats: ${booking.seats}. Total price: $${booking.price}.`,
+        "We can't wait to see you there!",
+      ],
+      url && { label: "View your bookings", url }
+    ),
+
+  accountDeactivated: ({ firstName }) =>
+    render("Your account has been deactivated", [
+      `Hi ${firstName},`,
+      "Your Glide Tours account has been deactivated and you have been logged out of every device.",
+      "If you didn't do this, please contact us right away.",
+    ]),
+};
+
+export default templates;
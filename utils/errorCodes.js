@@ -0,0 +1,49 @@
+// Stable, machine-readable error codes. Clients should branch (and localize)
+// on these, never on the message text.
+export const ERROR_CODES = {
+  // Generic, picked from the status code when no code is given
+  BAD_REQUEST: "BAD_REQUEST",
+  UNAUTHENTICATED: "UNAUTHENTICATED",
+  FORBIDDEN: "FORBIDDEN",
+  NOT_FOUND: "NOT_FOUND",
+  CONFLICT: "CONFLICT",
+  PAYLOAD_TOO_LARGE: "PAYLOAD_TOO_LARGE",
+  RATE_LIMITED: "RATE_LIMITED",
+  INTERNAL_ERROR: "INTERNAL_ERROR",
+
+  // Request input
+  VALIDATION_ERROR: "VALIDATION_ERROR",
+  INVALID_ID: "INVALID_ID",
+  DUPLICATE_VALUE: "DUPLICATE_VALUE",
+  INVALID_JSON: "INVALID_JSON",
+  INVALID_UPLOAD: "INVALID_UPLOAD",
+  ROUTE_NOT_FOUND: "ROUTE_NOT_FOUND",
+  SCHEDULE_CONFLICT: "SCHEDULE_CONFLICT",
+
+  // Authentication
+  INVALID_CREDENTIALS: "INVALID_CREDENTIALS",
+  ACCOUNT_LOCKED: "ACCOUNT_LOCKED",
+  TOKEN_INVALID: "TOKEN_INVALID",
+  TOKEN_EXPIRED: "TOKEN_EXPIRED",
+  SESSION_EXPIRED: "SESSION_EXPIRED",
+  REFRESH_TOKEN_REUSED: "REFRESH_TOKEN_REUSED",
+  PASSWORD_CHANGED: "PASSWORD_CHANGED",
+  USER_NOT_FOUND: "USER_NOT_FOUND",
+  EMAIL_NOT_VERIFIED: "EMAIL_NOT_VERIFIED",
+  EMAIL_SEND_FAILED: "EMAIL_SEND_FAILED",
+  TWO_FACTOR_INVALID_CODE: "TWO_FACTOR_INVALID_CODE",
+  TWO_FACTOR_SETUP_REQUIRED: "TWO_FACTOR_SETUP_REQUIRED",
+};
+
+const STATUS_CODES = {
+  400: ERROR_CODES.BAD_REQUEST,
+  401: ERROR_CODES.UNAUTHENTICATED,
+  403: ERROR_CODES.FORBIDDEN,
+  404: ERROR_CODES.NOT_FOUND,
+  409: ERROR_CODES.CONFLICT,
+  413: ERROR_CODES.PAYLOAD_TOO_LARGE,
+  429: ERROR_CODES.RATE_LIMITED,
+};
+
+export const codeForStatus = (statusCode) =>
+  STATUS_CODES[statusCode] || ERROR_CODES.INTERNAL_ERROR;
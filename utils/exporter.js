@@ -0,0 +1,94 @@
+import { once } from "events";
+import mongoose from "mongoose";
+import AppError from "./appError.js";
+import { formatCsvRow } from "./csv.js";
+
+export const EXPORT_FORMATS = {
+  csv: "text/csv; charset=utf-8",
+  ndjson: "application/x-ndjson; charset=utf-8",
+};
+
+// ?fields=name,price picks the columns, otherwise the defaults of the route.
+// Hidden (select: false) paths can never be exported.
+export const exportColumns = (Model, fields, defaults) => {
+  const columns = fields ? ["_id", ...`${fields}`.split(",")] : defaults;
+
+  columns.forEach((field) => {
+    const schemaType = Model.schema.path(field);
+    if (!schemaType || schemaType.options.select === false) {
+      throw new AppError(`Unknown export field: ${field}.`, 400);
+    }
+  });
+
+  return [...new Set(columns)];
+};
+
+const plain = (value) => {
+  if (value instanceof mongoose.Types.ObjectId) return `${value}`;
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(plain);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, el]) => [key, plain(el)])
+    );
+  }
+  return value;
+};
+
+// Lists of plain values are joined with ";", anything nested becomes JSON
+const csvCell = (value) => {
+  if (Array.isArray(value) && value.every((el) => typeof el !== "object")) {
+    return value.join(";");
+  }
+  if (value && typeof value === "object") return JSON.stringify(value);
+  return value;
+};
+
+// Populated documents are exported as their id
+const toRecord = (doc, columns) => {
+  const obj = doc.toObject({ depopulate: true, virtuals: false });
+
+  return Object.fromEntries(
+    columns.map((field) => [
+      field,
+      plain(field.split(".").reduce((el, key) => el && el[key], obj)),
+    ])
+  );
+};
+
+// Writes the cursor to the response, waiting whenever the client is slow.
+// Once the first byte is out an error can only abort the response.
+export const streamExport = async (res, cursor, { format, columns, name }) => {
+  const date = new Date().toISOString().slice(0, 10);
+  res.status(200);
+  res.set("Content-Type", EXPORT_FORMATS[format]);
+  res.set(
+    "Content-Disposition",
+    `attachment; filename="${name}-${date}.${format}"`
+  );
+
+  const write = async (chunk) => {
+    if (!res.write(chunk)) await once(res, "drain");
+  };
+
+  try {
+    if (format === "csv") await write(formatCsvRow(columns));
+
+    for await (const doc of cursor) {
+      if (res.destroyed) break;
+      const record = toRecord(doc, columns);
+      await write(
+        format === "csv"
+          ? formatCsvRow(columns.map((field) => csvCell(record[field])))
+          : `${JSON.stringify(record)}\n`
+      );
+    }
+
+    res.end();
+  } catch (err) {
+    console.error("EXPORT FAILED 💥", err);
+    res.destroy(err);
+  } finally {
+    await cursor.close();
+  }
+};
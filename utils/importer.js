@@ -0,0 +1,82 @@
+import AppError from "./appError.js";
+import { parseCsv } from "./csv.js";
+
+const MAX_ROWS = process.env.IMPORT_MAX_ROWS * 1 || 1000;
+
+// CSV cells hold text only: lists of plain values are ";" separated and
+// anything nested is JSON, the same way exports write them
+const fromCsvCell = (cell, rule) => {
+  if (/^[[{]/.test(cell)) {
+    try {
+      return JSON.parse(cell);
+    } catch (err) {
+      return cell;
+    }
+  }
+  if (rule && rule.type === "array") return cell.split(";");
+  return cell;
+};
+
+const csvRows = (text, fields) => {
+  let rows;
+  try {
+    rows = parseCsv(text);
+  } catch (err) {
+    throw new AppError(`Invalid CSV: ${err.message}.`, 400);
+  }
+
+  const [header = [], ...records] = rows;
+  return records.map((record) => {
+    const data = {};
+    header.forEach((column, i) => {
+      const cell = record[i];
+      if (cell !== undefined && cell !== "") {
+        data[column] = fromCsvCell(cell, fields[column]);
+      }
+    });
+    return { data };
+  });
+};
+
+const toRow = (data) =>
+  data && typeof data === "object" && !Array.isArray(data)
+    ? { data }
+    : { error: "Each row must be a JSON object." };
+
+const ndjsonRows = (text) =>
+  text
+    .split(/\r?\n/)
+    .filter((line) => line.trim())
+    .map((line) => {
+      try {
+        return toRow(JSON.parse(line));
+      } catch (err) {
+        return { error: `Invalid JSON: ${err.message}` };
+      }
+    });
+
+// The rows of an import request as [{ data } | { error }], row n is item n-1.
+// fields are the request schema fields of the rows.
+export const parseImportRows = (req, fields) => {
+  let rows;
+
+  if (req.is("text/csv")) rows = csvRows(`${req.body}`, fields);
+  else if (req.is("application/x-ndjson")) rows = ndjsonRows(`${req.body}`);
+  else if (Array.isArray(req.body)) rows = req.body.map(toRow);
+  else {
+    throw new AppError(
+      "Please send a CSV file, NDJSON or a JSON array of rows.",
+      400
+    );
+  }
+
+  if (!rows.length) throw new AppError("The import has no rows.", 400);
+  if (rows.length > MAX_ROWS) {
+    throw new AppError(
+      `An import can have at most ${MAX_ROWS} rows. Please split the file.`,
+      400
+    );
+  }
+
+  return rows;
+};
@@ -0,0 +1,115 @@
+import { getRedisClient } from "./redisClient.js";
+
+// Failed logins are tracked per email, whether or not an account exists, so
+// a lockout says nothing about which emails are registered.
+const FREE_ATTEMPTS = process.env.LOGIN_FREE_ATTEMPTS * 1 || 5;
+const BASE_LOCKOUT_MS = (process.env.LOGIN_LOCKOUT_SECONDS * 1 || 60) * 1000;
+const MAX_LOCKOUT_MS =
+  (process.env.LOGIN_MAX_LOCKOUT_MINUTES * 1 || 60) * 60 * 1000;
+const RECORD_TTL_MS = 24 * 60 * 60 * 1000;
+
+// The failure count and the lockout are separate keys: counting is a single
+// atomic increment, so concurrent failures can't overwrite each other.
+class MemoryAttemptStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  live(key) {
+    const entry = this.records.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      this.records.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  async increment(key, ttlMs) {
+    const entry = this.live(key) || { value: 0 };
+    entry.value += 1;
+    entry.expiresAt = Date.now() + ttlMs;
+    this.records.set(key, entry);
+    return entry.value;
+  }
+
+  async lock(key, ms) {
+    this.records.set(key, { value: 1, expiresAt: Date.now() + ms });
+  }
+
+  async lockedFor(key) {
+    const entry = this.live(key);
+    return entry ? entry.expiresAt - Date.now() : 0;
+  }
+
+  async delete(...keys) {
+    keys.forEach((key) => this.records.delete(key));
+  }
+}
+
+class RedisAttemptStore {
+  constructor(client) {
+    this.client = client;
+  }
+
+  async increment(key, ttlMs) {
+    const [count] = await this.client
+      .multi()
+      .incr(key)
+      .pExpire(key, ttlMs)
+      .exec();
+    return count;
+  }
+
+  async lock(key, ms) {
+    await this.client.set(key, "1", { PX: ms });
+  }
+
+  // PTTL is negative for a missing key
+  async lockedFor(key) {
+    return Math.max(await this.client.pTTL(key), 0);
+  }
+
+  async delete(...keys) {
+    await this.client.del(keys);
+  }
+}
+
+let store;
+
+const getStore = () => {
+  if (!store) {
+    const client = getRedisClient();
+    store = client ? new RedisAttemptStore(client) : new MemoryAttemptStore();
+  }
+  return store;
+};
+
+const normalize = (email) => `${email}`.toLowerCase().trim();
+const failuresKey = (email) => `login-attempts:${normalize(email)}`;
+const lockoutKey = (email) => `login-lockout:${normalize(email)}`;
+
+// Milliseconds until the account may try again, 0 if it is not locked
+export const getLockout = (email) => getStore().lockedFor(lockoutKey(email));
+
+// Every failure past the free attempts doubles the lockout
+export const recordFailure = async (email) => {
+  const failures = await getStore().increment(
+    failuresKey(email),
+    RECORD_TTL_MS
+  );
+
+  let lockout = 0;
+  if (failures >= FREE_ATTEMPTS) {
+    lockout = Math.min(
+      BASE_LOCKOUT_MS * 2 ** (failures - FREE_ATTEMPTS),
+      MAX_LOCKOUT_MS
+    );
+    await getStore().lock(lockoutKey(email), lockout);
+  }
+
+  return { failures, lockout };
+};
+
+export const clearFailures = async (email) => {
+  await getStore().delete(failuresKey(email), lockoutKey(email));
+};
@@ -4,7 +4,11 @@ import { dirname, join } from "path";
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-export const getToursDataPath = () =>
-  join(__dirname, "..", "dev-data", "data", "tours-simple.json");
+export const getDevDataPath = (file) =>
+  join(__dirname, "..", "dev-data", "data", file);
 
-export const getPublicPath = () => join(__dirname, "public");
+export const getToursDataPath = () => getDevDataPath("tours-simple.json");
+
+export const getPublicPath = () => join(__dirname, "..", "public");
+
+export const getTmpPath = (...parts) => join(__dirname, "..", "tmp", ...parts);
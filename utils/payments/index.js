@@ -0,0 +1,31 @@
+import MockPaymentProvider from "./mockProvider.js";
+
+const providers = {
+  mock: MockPaymentProvider,
+};
+
+let instance;
+let instanceName;
+
+// Register another adapter, e.g. registerPaymentProvider("stripe", StripeProvider)
+export const registerPaymentProvider = (name, Provider) => {
+  providers[name] = Provider;
+};
+
+// There is no default: a missing setting must not fall back to the mock
+export const getPaymentProvider = () => {
+  const name = process.env.PAYMENT_PROVIDER;
+  if (!name) {
+    throw new Error("PAYMENT_PROVIDER is not set");
+  }
+  if (instance && instanceName === name) return instance;
+
+  const Provider = providers[name];
+  if (!Provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+
+  instance = new Provider();
+  instanceName = name;
+  return instance;
+};
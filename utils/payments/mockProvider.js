@@ -0,0 +1,92 @@
+import crypto from "crypto";
+import PaymentProvider from "./paymentProvider.js";
+import AppError from "../appError.js";
+
+const SIGNATURE_HEADER = "x-mock-signature";
+const TOLERANCE_SECONDS = 5 * 60;
+
+// Offline provider that behaves like a hosted checkout: sessions are kept in
+// memory and events are signed with PAYMENT_WEBHOOK_SECRET the same way the
+// webhook route expects from a real provider.
+class MockPaymentProvider extends PaymentProvider {
+  constructor(secret = process.env.PAYMENT_WEBHOOK_SECRET) {
+    super("mock");
+    if (!secret) {
+      throw new Error("PAYMENT_WEBHOOK_SECRET is not set");
+    }
+    this.secret = secret;
+    this.sessions = new Map();
+  }
+
+  async createCheckoutSession(options) {
+    const id = `mock_cs_${crypto.randomBytes(12).toString("hex")}`;
+    this.sessions.set(id, { ...options, id });
+
+    return { id, url: `/api/v1/payments/mock-checkout/${id}` };
+  }
+
+  sign(payload, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto
+      .createHmac("sha256", this.secret)
+      .update(`${timestamp}.${payload}`)
+      .digest("hex");
+
+    return `t=${timestamp},v1=${signature}`;
+  }
+
+  // Build the signed webhook delivery for a session, as the provider would
+  simulateEvent(sessionId, type = "checkout.session.completed") {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      throw new AppError("No checkout session found with that ID", 404);
+    }
+    if (
+      type === "checkout.session.completed" &&
+      session.expiresAt &&
+      session.expiresAt < Date.now()
+    ) {
+      throw new AppError("This checkout session has expired.", 400);
+    }
+
+    const payload = JSON.stringify({
+      id: `mock_evt_${crypto.randomBytes(12).toString("hex")}`,
+      type,
+      data: { sessionId, amount: session.amount },
+    });
+
+    return { payload, headers: { [SIGNATURE_HEADER]: this.sign(payload) } };
+  }
+
+  constructEvent(rawBody, headers) {
+    const header = headers[SIGNATURE_HEADER];
+    if (!header) {
+      throw new AppError("Missing webhook signature.", 400);
+    }
+
+    const parts = Object.fromEntries(
+      header.split(",").map((part) => part.split("="))
+    );
+    const timestamp = parts.t * 1;
+    const payload = rawBody.toString();
+
+    if (
+      !timestamp ||
+      Math.abs(Date.now() / 1000 - timestamp) > TOLERANCE_SECONDS
+    ) {
+      throw new AppError("Webhook signature has expired.", 400);
+    }
+
+    const expected = Buffer.from(this.sign(payload, timestamp));
+    const received = Buffer.from(header);
+    if (
+      expected.length !== received.length ||
+      !crypto.timingSafeEqual(expected, received)
+    ) {
+      throw new AppError("Invalid webhook signature.", 400);
+    }
+
+    return JSON.parse(payload);
+  }
+}
+
+export default MockPaymentProvider;
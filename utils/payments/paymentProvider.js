@@ -0,0 +1,25 @@
+// Interface every payment provider adapter has to implement.
+//
+// createCheckoutSession({ amount, currency, reference, customerEmail,
+//   description, successUrl, cancelUrl, expiresAt }) -> { id, url }
+//   The session should not accept a payment after expiresAt.
+// constructEvent(rawBody, headers) -> { id, type, data: { sessionId, amount } }
+//   Must throw an AppError (400) when the signature is missing or invalid.
+//
+// Event types understood by the app:
+//   "checkout.session.completed" | "checkout.session.expired"
+class PaymentProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async createCheckoutSession() {
+    throw new Error(`${this.name} does not implement createCheckoutSession`);
+  }
+
+  constructEvent() {
+    throw new Error(`${this.name} does not implement constructEvent`);
+  }
+}
+
+export default PaymentProvider;
@@ -0,0 +1,133 @@
+import Tour from "../models/tourModel.js";
+import Review from "../models/reviewModel.js";
+import Booking from "../models/bookingModel.js";
+import Payment from "../models/paymentModel.js";
+
+// Who may do what, per resource and action. A policy is either "public" or a
+// list of rules, any of which grants access:
+//   "admin"                            the user has this role
+//   "authenticated"                    any logged in user
+//   { role: "guide", if: "tourGuide" } the role AND the ownership check pass
+//   { if: "bookingOwner" }             any role, ownership check only
+export const policies = {
+  tour: {
+    list: "public",
+    read: "public",
+    stats: "public",
+    create: ["admin", "lead-guide"],
+    update: ["admin", "lead-guide", { role: "guide", if: "tourGuide" }],
+    delete: ["admin", "lead-guide"],
+    manageGuides: ["admin", "lead-guide"],
+    export: ["admin"],
+    import: ["admin"],
+  },
+  review: {
+    list: "public",
+    read: "public",
+    create: ["user"],
+    update: ["admin", { role: "user", if: "reviewAuthor" }],
+    delete: ["admin", { role: "user", if: "reviewAuthor" }],
+    export: ["admin"],
+  },
+  booking: {
+    list: ["admin", "lead-guide"],
+    listOwn: ["authenticated"],
+    read: ["admin", "lead-guide", { if: "bookingOwner" }],
+    create: ["authenticated"],
+    cancel: ["admin", "lead-guide", { if: "bookingOwner" }],
+  },
+  payment: {
+    checkout: ["authenticated"],
+    mockCheckout: [{ if: "paymentOwner" }],
+  },
+  analytics: {
+    read: ["admin"],
+  },
+  user: {
+    list: ["admin"],
+    listInactive: ["admin"],
+    export: ["admin"],
+    read: ["admin"],
+    create: ["admin"],
+    update: ["admin"],
+    changeRole: ["admin"],
+    deactivate: ["admin"],
+    reactivate: ["admin"],
+    schedule: ["admin", "lead-guide", { role: "guide", if: "self" }],
+    delete: ["admin"],
+  },
+  account: {
+    signup: "public",
+    login: "public",
+    loginTwoFactor: "public",
+    refresh: "public",
+    logout: "public",
+    verifyEmail: "public",
+    forgotPassword: "public",
+    resetPassword: "public",
+    me: ["authenticated"],
+    logoutAll: ["authenticated"],
+    resendVerification: ["authenticated"],
+    updatePassword: ["authenticated"],
+    updateMe: ["authenticated"],
+    deleteMe: ["authenticated"],
+    twoFactor: ["authenticated"],
+    listSaved: ["authenticated"],
+    saveTour: ["authenticated"],
+    unsaveTour: ["authenticated"],
+  },
+};
+
+// Ownership checks for the document addressed by the route
+const ownershipChecks = {
+  self: async (req) => req.params.id === req.user.id,
+  tourGuide: async (req) =>
+    Boolean(await Tour.exists({ _id: req.params.id, guides: req.user._id })),
+  reviewAuthor: async (req) =>
+    Boolean(await Review.exists({ _id: req.params.id, user: req.user._id })),
+  bookingOwner: async (req) =>
+    Boolean(await Booking.exists({ _id: req.params.id, user: req.user._id })),
+  paymentOwner: async (req) =>
+    Boolean(
+      await Payment.exists({
+        sessionId: req.params.sessionId,
+        user: req.user._id,
+      })
+    ),
+};
+
+export const getPolicy = (resource, action) => {
+  const policy = policies[resource] && policies[resource][action];
+
+  if (!policy) {
+    throw new Error(`No policy defined for ${resource}.${action}`);
+  }
+
+  if (policy !== "public") {
+    policy.forEach((rule) => {
+      if (typeof rule === "object" && !ownershipChecks[rule.if]) {
+        throw new Error(`Unknown ownership check: ${rule.if}`);
+      }
+    });
+  }
+
+  return policy;
+};
+
+export const isAllowed = async (policy, req) => {
+  if (policy === "public") return true;
+
+  for (const rule of policy) {
+    if (rule === "authenticated" || rule === req.user.role) return true;
+
+    if (
+      typeof rule === "object" &&
+      (!rule.role || rule.role === req.user.role) &&
+      (await ownershipChecks[rule.if](req))
+    ) {
+      return true;
+    }
+  }
+
+  return false;
+};
@@ -0,0 +1,16 @@
+import { createClient } from "redis";
+
+let client;
+
+// Shared client, only created when REDIS_URL is set
+export const getRedisClient = () => {
+  if (!process.env.REDIS_URL) return null;
+
+  if (!client) {
+    client = createClient({ url: process.env.REDIS_URL });
+    client.on("error", (err) => console.error("REDIS ERROR 💥", err));
+    client.connect().catch((err) => console.error("REDIS ERROR 💥", err));
+  }
+
+  return client;
+};
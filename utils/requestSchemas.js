@@ -0,0 +1,277 @@
+import { partial } from "./validation.js";
+import { START_DATE_STATUSES } from "../models/tourModel.js";
+import { INTERVALS } from "./analytics.js";
+import { EXPORT_FORMATS } from "./exporter.js";
+
+// What each route accepts, per resource and action like the policies.
+// body and query are replaced by the validated copy, so fields that are not
+// listed never reach a controller. params are only checked.
+// keepUnknownQuery passes the other query params on, e.g. to APIFeatures.
+
+// A bare file name under img/tours, never a path
+const imageName = { type: "string", trim: true, match: /^(?!\.)[^/\\]+$/ };
+
+const point = {
+  type: { type: "string", enum: ["Point"] },
+  coordinates: {
+    type: "array",
+    items: { type: "number" },
+    minItems: 2,
+    maxItems: 2,
+  },
+  address: { type: "string", trim: true },
+  description: { type: "string", trim: true },
+};
+
+const date = { type: "date", required: true };
+const searchTerm = {
+  type: "string",
+  required: true,
+  trim: true,
+  maxLength: 50,
+};
+
+// seatsTaken only changes through bookings
+const startDateFields = {
+  capacity: { type: "integer", min: 1 },
+  priceOverride: { type: "number", min: 0 },
+  status: { type: "string", enum: START_DATE_STATUSES },
+};
+
+// ratingsAverage, ratingsQuantity, slug and secretTour are server-managed,
+// guides are assigned under /tours/:id/guides
+const tourFields = {
+  name: {
+    type: "string",
+    required: true,
+    trim: true,
+    minLength: 10,
+    maxLength: 40,
+  },
+  duration: { type: "number", required: true, min: 1 },
+  maxGroupSize: { type: "integer", required: true, min: 1 },
+  difficulty: {
+    type: "string",
+    required: true,
+    enum: ["easy", "medium", "difficult"],
+  },
+  price: { type: "number", required: true, min: 0 },
+  priceDiscount: { type: "number", min: 0 },
+  summary: { type: "string", required: true, trim: true },
+  description: { type: "string", trim: true },
+  imageCover: { ...imageName, required: true },
+  images: { type: "array", items: imageName },
+  startLocation: { type: "object", fields: point },
+  locations: {
+    type: "array",
+    items: {
+      type: "object",
+      fields: { ...point, day: { type: "integer", min: 0 } },
+    },
+  },
+};
+
+const reviewFields = {
+  review: { type: "string", required: true, trim: true },
+  rating: { type: "number", required: true, min: 1, max: 5 },
+};
+
+const email = { type: "string", required: true, trim: true, email: true };
+const password = { type: "string", required: true, minLength: 8 };
+const passwordConfirm = { type: "string", required: true };
+const totpCode = { type: "string", trim: true, match: /^\d{6}$/ };
+const recoveryCode = { type: "string", trim: true, maxLength: 20 };
+const seats = { type: "integer", min: 1 };
+const geoParams = {
+  latlng: { type: "string", required: true, match: /^-?[\d.]+,-?[\d.]+$/ },
+  unit: { type: "string", required: true, enum: ["mi", "km"] },
+};
+
+const range = { from: { type: "date" }, to: { type: "date" } };
+
+// Filters, sort and ?fields still go through APIFeatures
+const exportQuery = {
+  query: { format: { type: "string", enum: Object.keys(EXPORT_FORMATS) } },
+  keepUnknownQuery: true,
+};
+
+export const requestSchemas = {
+  tour: {
+    // Filters, sort and paging still go through APIFeatures
+    search: {
+      query: { q: { ...searchTerm, maxLength: 100 } },
+      keepUnknownQuery: true,
+    },
+    autocomplete: {
+      query: {
+        q: searchTerm,
+        limit: { type: "integer", min: 1, max: 10 },
+      },
+    },
+    create: {
+      body: {
+        ...tourFields,
+        startDates: {
+          type: "array",
+          items: { type: "object", fields: { ...startDateFields, date } },
+        },
+      },
+    },
+    export: exportQuery,
+    import: { query: { dryRun: { type: "boolean" } } },
+    // The schedule is managed under /tours/:id/dates
+    update: { body: partial(tourFields) },
+    assignGuide: { body: { guide: { type: "objectId", required: true } } },
+    addDate: { body: { ...startDateFields, date } },
+    updateDate: {
+      body: {
+        ...startDateFields,
+        priceOverride: { ...startDateFields.priceOverride, nullable: true },
+      },
+    },
+    stats: { query: { minRating: { type: "number", min: 1, max: 5 } } },
+    monthlyPlan: {
+      params: {
+        year: { type: "integer", required: true, min: 1000, max: 9999 },
+      },
+      query: { limit: { type: "integer", min: 1, max: 12 } },
+    },
+    toursWithin: {
+      params: {
+        ...geoParams,
+        distance: { type: "number", required: true, min: 0 },
+      },
+    },
+    distances: { params: geoParams },
+    updateImages: {
+      body: {
+        images: {
+          type: "array",
+          required: true,
+          items: imageName,
+          unique: true,
+        },
+      },
+    },
+  },
+  review: {
+    // tour comes from the nested route or the body, user is always req.user
+    create: { body: { ...reviewFields, tour: { type: "objectId" } } },
+    update: { body: partial(reviewFields) },
+    export: exportQuery,
+  },
+  booking: {
+    create: {
+      body: {
+        tour: { type: "objectId" },
+        startDate: { type: "date", required: true },
+        seats,
+      },
+    },
+  },
+  payment: {
+    checkout: {
+      params: { tourId: { type: "objectId", required: true } },
+      body: { startDate: { type: "date", required: true }, seats },
+    },
+    mockCheckout: {
+      query: { outcome: { type: "string", enum: ["completed", "expired"] } },
+    },
+  },
+  analytics: {
+    range: { query: range },
+    timeline: {
+      query: { ...range, interval: { type: "string", enum: INTERVALS } },
+    },
+    ratings: { query: { ...range, tour: { type: "objectId" } } },
+    topTours: {
+      query: { ...range, limit: { type: "integer", min: 1, max: 50 } },
+    },
+    tourBreakdown: {
+      query: {
+        groupBy: { type: "string", match: /^\w+(,\w+)*$/ },
+        minRating: { type: "number", min: 1, max: 5 },
+      },
+    },
+  },
+  user: {
+    export: exportQuery,
+    // Roles and account status have their own routes
+    update: {
+      body: {
+        name: { type: "string", trim: true, minLength: 1 },
+        email: { ...email, required: false },
+        photo: imageName,
+      },
+    },
+    schedule: {
+      query: { from: { type: "date" }, to: { type: "date" } },
+    },
+    changeRole: {
+      body: {
+        role: {
+          type: "string",
+          required: true,
+          enum: ["user", "guide", "lead-guide", "admin"],
+        },
+      },
+    },
+  },
+  account: {
+    signup: {
+      body: {
+        name: { type: "string", required: true, trim: true },
+        email,
+        password,
+        passwordConfirm,
+      },
+    },
+    login: {
+      body: { email, password: { type: "string", required: true } },
+    },
+    loginTwoFactor: {
+      body: {
+        challengeToken: { type: "string", required: true },
+        code: totpCode,
+        recoveryCode,
+      },
+    },
+    refresh: { body: { refreshToken: { type: "string" } } },
+    verifyEmail: {
+      params: {
+        token: { type: "string", required: true, match: /^[a-f\d]{64}$/ },
+      },
+    },
+    forgotPassword: { body: { email } },
+    resetPassword: {
+      params: {
+        token: { type: "string", required: true, match: /^[a-f\d]{64}$/ },
+      },
+      body: { password, passwordConfirm },
+    },
+    updatePassword: {
+      body: {
+        passwordCurrent: { type: "string", required: true },
+        password,
+        passwordConfirm,
+      },
+    },
+    updateMe: {
+      body: {
+        name: { type: "string", trim: true, minLength: 1 },
+        email: { ...email, required: false },
+      },
+    },
+    twoFactorEnable: { body: { code: { ...totpCode, required: true } } },
+    twoFactorDisable: {
+      body: {
+        password: { type: "string", required: true },
+        code: totpCode,
+        recoveryCode,
+      },
+    },
+    twoFactorRecoveryCodes: {
+      body: { code: { ...totpCode, required: true } },
+    },
+  },
+};
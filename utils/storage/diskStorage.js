@@ -0,0 +1,41 @@
+import fs from "fs/promises";
+import { dirname, join, normalize, sep } from "path";
+import { getPublicPath } from "../pathUtils.js";
+
+// Stores files under the public folder so express.static serves them
+class DiskStorage {
+  constructor(root = process.env.STORAGE_LOCAL_ROOT || getPublicPath()) {
+    this.name = "local";
+    this.root = root;
+  }
+
+  resolve(key) {
+    const path = normalize(join(this.root, key));
+    if (!path.startsWith(join(normalize(this.root), sep))) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return path;
+  }
+
+  async save(key, buffer) {
+    const path = this.resolve(key);
+    await fs.mkdir(dirname(path), { recursive: true });
+    await fs.writeFile(path, buffer);
+    return this.url(key);
+  }
+
+  // Removing a file that is already gone is not an error
+  async remove(key) {
+    try {
+      await fs.unlink(this.resolve(key));
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+  }
+
+  url(key) {
+    return `/${key}`;
+  }
+}
+
+export default DiskStorage;
@@ -0,0 +1,29 @@
+import DiskStorage from "./diskStorage.js";
+
+// Adapters implement save(key, buffer, { contentType }) -> url,
+// remove(key) and url(key). Keys look like "img/users/user-1.jpeg".
+const adapters = {
+  local: DiskStorage,
+};
+
+let instance;
+let instanceName;
+
+// Register another adapter, e.g. registerStorage("s3", S3Storage)
+export const registerStorage = (name, Adapter) => {
+  adapters[name] = Adapter;
+};
+
+export const getStorage = () => {
+  const name = process.env.STORAGE_DRIVER || "local";
+  if (instance && instanceName === name) return instance;
+
+  const Adapter = adapters[name];
+  if (!Adapter) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+
+  instance = new Adapter();
+  instanceName = name;
+  return instance;
+};
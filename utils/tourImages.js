@@ -0,0 +1,65 @@
+import sharp from "sharp";
+import AppError from "./appError.js";
+import { getStorage } from "./storage/index.js";
+
+// Every uploaded tour image is stored in these sizes. The "full" file keeps
+// the name saved on the tour, the others add a suffix:
+// tour-the-forest-hiker-cover-1700000000000.jpeg
+// tour-the-forest-hiker-cover-1700000000000-card.jpeg
+export const TOUR_IMAGE_SIZES = {
+  thumbnail: { width: 400, height: 267 },
+  card: { width: 750, height: 500 },
+  full: { width: 2000, height: 1333 },
+};
+
+// Only images uploaded through the API have size variants, and only those
+// are ever deleted: other names on a tour are not trusted to be files we own
+const GENERATED = /^tour-[^/\\]+-\d{13}(-\d+)?\.jpeg$/;
+
+const sizeName = (filename, size) =>
+  size === "full" ? filename : filename.replace(/\.jpeg$/, `-${size}.jpeg`);
+
+const tourImageKey = (filename) => `img/tours/${filename}`;
+
+export const tourImageVariants = (filename) =>
+  Object.fromEntries(
+    Object.keys(TOUR_IMAGE_SIZES).map((size) => [
+      size,
+      GENERATED.test(filename) ? sizeName(filename, size) : filename,
+    ])
+  );
+
+export const saveTourImage = async (buffer, filename) => {
+  const storage = getStorage();
+  const saved = [];
+
+  try {
+    for (const [size, { width, height }] of Object.entries(TOUR_IMAGE_SIZES)) {
+      let resized;
+      try {
+        resized = await sharp(buffer)
+          .rotate()
+          .resize(width, height, { fit: "cover" })
+          .toFormat("jpeg")
+          .jpeg({ quality: 90 })
+          .toBuffer();
+      } catch (err) {
+        throw new AppError("Could not read the uploaded image.", 400);
+      }
+
+      const key = tourImageKey(sizeName(filename, size));
+      await storage.save(key, resized, { contentType: "image/jpeg" });
+      saved.push(key);
+    }
+  } catch (err) {
+    await Promise.all(saved.map((key) => storage.remove(key)));
+    throw err;
+  }
+};
+
+export const removeTourImage = async (filename) => {
+  if (!GENERATED.test(filename)) return;
+  const storage = getStorage();
+  const names = [...new Set(Object.values(tourImageVariants(filename)))];
+  await Promise.all(names.map((name) => storage.remove(tourImageKey(name))));
+};
@@ -0,0 +1,182 @@
+import mongoose from "mongoose";
+import validator from "validator";
+
+// Field rules used by the request schemas:
+//   { type, required, nullable, trim, lowercase, min, max, minLength,
+//     maxLength, enum, match, email, items, minItems, maxItems, unique, fields }
+// type is one of string, number, integer, boolean, date, objectId, array,
+// object. Values are coerced to the type, unknown fields of objects are
+// dropped, and every problem is reported as { field, message, kind }.
+
+const isObjectId = (value) =>
+  typeof value === "string" &&
+  /^[a-f\d]{24}$/i.test(value) &&
+  mongoose.isValidObjectId(value);
+
+const coerce = {
+  string: (value) =>
+    typeof value === "string" || typeof value === "number"
+      ? `${value}`
+      : undefined,
+  number: (value) => {
+    if (typeof value === "string" && value.trim() === "") return undefined;
+    const num = typeof value === "number" ? value : Number(value);
+    return typeof value !== "boolean" && Number.isFinite(num) ? num : undefined;
+  },
+  integer: (value) => {
+    const num = coerce.number(value);
+    return Number.isInteger(num) ? num : undefined;
+  },
+  boolean: (value) => {
+    if (typeof value === "boolean") return value;
+    if (value === "true") return true;
+    if (value === "false") return false;
+    return undefined;
+  },
+  date: (value) => {
+    if (typeof value !== "string" && typeof value !== "number") {
+      return value instanceof Date && !Number.isNaN(value.getTime())
+        ? value
+        : undefined;
+    }
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+  },
+  objectId: (value) => (isObjectId(`${value}`) ? `${value}` : undefined),
+  array: (value) => (Array.isArray(value) ? value : undefined),
+  object: (value) =>
+    value && typeof value === "object" && !Array.isArray(value)
+      ? value
+      : undefined,
+};
+
+const typeNames = {
+  string: "a string",
+  number: "a number",
+  integer: "a whole number",
+  boolean: "true or false",
+  date: "a valid date",
+  objectId: "a valid ID",
+  array: "a list",
+  object: "an object",
+};
+
+const checkValue = (rule, raw, field, errors) => {
+  const fail = (message, kind) => {
+    errors.push({ field, message, kind });
+    return undefined;
+  };
+
+  let value = coerce[rule.type](raw);
+  if (value === undefined) {
+    return fail(`${field} must be ${typeNames[rule.type]}.`, "type");
+  }
+
+  if (rule.type === "string") {
+    if (rule.trim) value = value.trim();
+    if (rule.lowercase) value = value.toLowerCase();
+    if (rule.required && value === "") {
+      return fail(`${field} is required.`, "required");
+    }
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      return fail(
+        `${field} must have at least ${rule.minLength} characters.`,
+        "minlength"
+      );
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      return fail(
+        `${field} must have at most ${rule.maxLength} characters.`,
+        "maxlength"
+      );
+    }
+    if (rule.email && !validator.isEmail(value)) {
+      return fail(`${field} must be a valid email.`, "format");
+    }
+    if (rule.match && !rule.match.test(value)) {
+      return fail(`${field} has an invalid format.`, "format");
+    }
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return fail(`${field} is either: ${rule.enum.join(", ")}.`, "enum");
+  }
+
+  if (rule.type === "number" || rule.type === "integer") {
+    if (rule.min !== undefined && value < rule.min) {
+      return fail(`${field} must be at least ${rule.min}.`, "min");
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      return fail(`${field} must be at most ${rule.max}.`, "max");
+    }
+  }
+
+  if (rule.type === "array") {
+    if (rule.minItems !== undefined && value.length < rule.minItems) {
+      return fail(
+        `${field} must have at least ${rule.minItems} item(s).`,
+        "minitems"
+      );
+    }
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      return fail(
+        `${field} must have at most ${rule.maxItems} item(s).`,
+        "maxitems"
+      );
+    }
+    if (rule.items) {
+      value = value.map((el, i) =>
+        checkValue(rule.items, el, `${field}.${i}`, errors)
+      );
+    }
+    if (
+      rule.unique &&
+      new Set(value.map((el) => `${el}`)).size !== value.length
+    ) {
+      return fail(`${field} must not contain duplicates.`, "unique");
+    }
+  }
+
+  if (rule.type === "object" && rule.fields) {
+    value = checkFields(rule.fields, value, errors, `${field}.`);
+  }
+
+  return value;
+};
+
+// Returns a new object with only the declared fields, coerced
+export const checkFields = (fields, input = {}, errors = [], prefix = "") => {
+  const output = {};
+
+  Object.entries(fields).forEach(([name, rule]) => {
+    const raw = input[name];
+    // Empty form fields count as missing, except for strings
+    if (raw === undefined || (raw === "" && rule.type !== "string")) {
+      if (rule.required) {
+        errors.push({
+          field: `${prefix}${name}`,
+          message: `${prefix}${name} is required.`,
+          kind: "required",
+        });
+      }
+      return;
+    }
+    if (raw === null && rule.nullable) {
+      output[name] = null;
+      return;
+    }
+    const value = checkValue(rule, raw, `${prefix}${name}`, errors);
+    if (value !== undefined) output[name] = value;
+  });
+
+  return output;
+};
+
+// The same fields with nothing required, for PATCH bodies
+export const partial = (fields) =>
+  Object.fromEntries(
+    Object.entries(fields).map(([name, rule]) => [
+      name,
+      { ...rule, required: false },
+    ])
+  );